@@ -1,5 +1,28 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyAccessToken } = require('../utils/sessions');
+
+// Resolve the user behind an access token. Throws when the token is invalid,
+// its session has been revoked or the password changed after it was issued.
+const getUserFromToken = async (token) => {
+  const decoded = verifyAccessToken(token);
+
+  // Tokens issued before sessions existed carry no session ID
+  if (decoded.sid) {
+    const session = await Session.findOne({ _id: decoded.sid, user: decoded.id, revokedAt: null });
+    if (!session) {
+      throw new Error('Session has been revoked');
+    }
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  if (user && user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime()) {
+    throw new Error('Password changed after token was issued');
+  }
+
+  return { user, sessionId: decoded.sid };
+};
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -10,11 +33,10 @@ const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
-
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+      // Verify token and get user from it
+      const { user, sessionId } = await getUserFromToken(token);
+      req.user = user;
+      req.sessionId = sessionId;
 
       if (!req.user) {
         return res.status(401).json({
@@ -67,8 +89,9 @@ const optionalAuth = async (req, res, next) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
     try {
       token = req.headers.authorization.split(' ')[1];
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
-      req.user = await User.findById(decoded.id).select('-password');
+      const { user, sessionId } = await getUserFromToken(token);
+      req.user = user;
+      req.sessionId = sessionId;
     } catch (error) {
       // Token is invalid, but we don't throw error for optional auth
       console.log('Optional auth token invalid:', error.message);
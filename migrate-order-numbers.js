@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Order = require('./models/Order');
+const Counter = require('./models/Counter');
+const {
+  ORDER_NUMBER_PREFIX,
+  ORDER_NUMBER_SEQUENCE,
+  getCounterName,
+  parseOrderNumber,
+  isValidOrderNumber,
+  generateOrderNumber
+} = require('./utils/orderNumbers');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rent-the-moment');
+
+async function migrateOrderNumbers() {
+  try {
+    console.log(`Order numbers use prefix "${ORDER_NUMBER_PREFIX}" with ${ORDER_NUMBER_SEQUENCE} sequences`);
+
+    // Start each counter after the highest number already issued in its period,
+    // so new orders never reuse a number that is on an invoice
+    const orders = await Order.find({}, 'orderNumber createdAt').sort({ createdAt: 1 });
+    const highest = {};
+
+    orders.forEach(order => {
+      const parsed = parseOrderNumber(order.orderNumber);
+      if (parsed) {
+        highest[parsed.period] = Math.max(highest[parsed.period] || 0, parsed.seq);
+      }
+    });
+
+    for (const [period, seq] of Object.entries(highest)) {
+      await Counter.updateOne(
+        { _id: getCounterName(period) },
+        { $max: { seq } },
+        { upsert: true }
+      );
+    }
+
+    console.log(`Seeded ${Object.keys(highest).length} sequence counters`);
+
+    // Give orders without a number one from the sequence of the day they were placed
+    let backfilledCount = 0;
+
+    for (const order of orders) {
+      if (!order.orderNumber) {
+        const orderNumber = await generateOrderNumber(order.createdAt || new Date());
+        await Order.updateOne({ _id: order._id }, { orderNumber });
+        backfilledCount++;
+        console.log(`Assigned ${orderNumber} to order ${order._id}`);
+      }
+    }
+
+    console.log(`Backfilled ${backfilledCount} orders`);
+
+    // Verify every order has a unique, well-formed number. Existing numbers are
+    // only reported, never changed, since customers and invoices refer to them.
+    const allOrders = await Order.find({}, 'orderNumber');
+    const invalidOrders = allOrders.filter(order => !isValidOrderNumber(order.orderNumber));
+
+    invalidOrders.forEach(order => {
+      console.log(`Order ${order._id} has an unexpected order number: ${order.orderNumber || '(none)'}`);
+    });
+
+    const duplicates = await Order.aggregate([
+      { $group: { _id: '$orderNumber', count: { $sum: 1 } } },
+      { $match: { count: { $gt: 1 } } }
+    ]);
+
+    duplicates.forEach(duplicate => {
+      console.log(`Order number ${duplicate._id} is used by ${duplicate.count} orders`);
+    });
+
+    if (invalidOrders.length === 0 && duplicates.length === 0) {
+      console.log('✅ Verification passed: All order numbers are valid and unique');
+    } else {
+      console.log(`❌ Verification failed: ${invalidOrders.length} invalid and ${duplicates.length} duplicated order numbers`);
+    }
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+// Run migration
+migrateOrderNumbers();
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Order = require('./models/Order');
+const Product = require('./models/Product');
+const Reservation = require('./models/Reservation');
+const { getBufferDays, reserveOrderItems } = require('./utils/availability');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rent-the-moment');
+
+// Orders in these statuses no longer hold stock
+const FINISHED_STATUSES = ['Cancelled', 'Returned'];
+
+async function migrateReservations() {
+  try {
+    // Orders placed before reservations existed hold no stock, so bookings
+    // overlapping them would be accepted. Give each live order its holds.
+    const orders = await Order.find({ orderStatus: { $nin: FINISHED_STATUSES } });
+    const bufferDaysCache = {};
+    let createdCount = 0;
+
+    for (const order of orders) {
+      if (await Reservation.exists({ order: order._id })) continue;
+
+      const bufferDaysByProduct = {};
+      for (const item of order.items) {
+        const productId = item.product.toString();
+
+        if (bufferDaysCache[productId] === undefined) {
+          const product = await Product.findById(productId);
+          bufferDaysCache[productId] = product ? await getBufferDays(product) : 0;
+        }
+
+        bufferDaysByProduct[productId] = bufferDaysCache[productId];
+      }
+
+      await reserveOrderItems(order, bufferDaysByProduct);
+      createdCount++;
+      console.log(`Reserved stock for order ${order.orderNumber || order._id}`);
+    }
+
+    console.log(`Created reservations for ${createdCount} orders`);
+
+    // Verify every live order now holds stock
+    let missingCount = 0;
+    for (const order of orders) {
+      if (!(await Reservation.exists({ order: order._id }))) {
+        missingCount++;
+        console.log(`Order ${order.orderNumber || order._id} has no reservations`);
+      }
+    }
+
+    if (missingCount === 0) {
+      console.log('✅ Verification passed: All live orders hold reservations');
+    } else {
+      console.log(`❌ Verification failed: ${missingCount} live orders have no reservations`);
+    }
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+// Run migration
+migrateReservations();
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const User = require('./models/User');
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/rent-the-moment');
+
+const EMAIL_INDEX = 'email_1';
+
+// Current definition of the email index, or undefined when there is none
+async function findEmailIndex() {
+  // Listing indexes fails when the users collection does not exist yet
+  const indexes = await User.collection.indexes().catch(() => []);
+  return indexes.find(index => index.name === EMAIL_INDEX);
+}
+
+async function migrateUserEmailIndex() {
+  try {
+    // Phone-only accounts have no email. The old unique index counts a missing
+    // email as a value, so only one such account could ever be created.
+    const emailIndex = await findEmailIndex();
+
+    if (emailIndex && emailIndex.sparse) {
+      console.log('Email index is already sparse, nothing to do');
+    } else {
+      if (emailIndex) {
+        await User.collection.dropIndex(EMAIL_INDEX);
+        console.log('Dropped the non-sparse email index');
+      }
+
+      await User.collection.createIndex({ email: 1 }, { name: EMAIL_INDEX, unique: true, sparse: true });
+      console.log('Created a unique sparse email index');
+    }
+
+    // Verify the index now allows several accounts without an email
+    const migratedIndex = await findEmailIndex();
+
+    if (migratedIndex && migratedIndex.unique && migratedIndex.sparse) {
+      console.log('✅ Verification passed: Email index is unique and sparse');
+    } else {
+      console.log('❌ Verification failed: Email index is missing or not sparse');
+    }
+  } catch (error) {
+    console.error('Migration failed:', error);
+  } finally {
+    mongoose.connection.close();
+    console.log('Database connection closed');
+  }
+}
+
+// Run migration
+migrateUserEmailIndex();
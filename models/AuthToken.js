@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['email-verification', 'password-reset'],
+    required: true
+  },
+  // SHA-256 of the token sent to the user; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Set when the token is used, so it cannot be used again
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+authTokenSchema.index({ user: 1, purpose: 1 });
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Guest carts untouched for this long are removed
+const GUEST_CART_TTL_DAYS = parseInt(process.env.GUEST_CART_TTL_DAYS || '30', 10);
+
+const cartSchema = new mongoose.Schema({
+  // Owner of the cart; unset for guest carts
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Token identifying a guest cart (sent back in the X-Cart-Token header)
+  token: {
+    type: String
+  },
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    // Variant of the product, for products that have variants
+    variant: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    size: {
+      type: String,
+      enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size', null],
+      default: null
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    rentalStartDate: {
+      type: Date,
+      required: true
+    },
+    rentalEndDate: {
+      type: Date,
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $exists: true } } });
+cartSchema.index({ token: 1 }, { unique: true, partialFilterExpression: { token: { $exists: true } } });
+cartSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: GUEST_CART_TTL_DAYS * 24 * 60 * 60, partialFilterExpression: { token: { $exists: true } } }
+);
+
+// Find the cart line for the same product, variant, size and rental dates,
+// optionally skipping the line with `excludeId`
+cartSchema.methods.findItem = function({ product, variant, size, rentalStartDate, rentalEndDate }, excludeId) {
+  return this.items.find(item =>
+    (!excludeId || item._id.toString() !== excludeId.toString()) &&
+    item.product._id.toString() === product.toString() &&
+    (item.variant ? item.variant.toString() : null) === (variant ? variant.toString() : null) &&
+    (item.size || null) === (size || null) &&
+    item.rentalStartDate.getTime() === new Date(rentalStartDate).getTime() &&
+    item.rentalEndDate.getTime() === new Date(rentalEndDate).getTime()
+  );
+};
+
+// Add a line, or add to the quantity of a matching one
+cartSchema.methods.addItem = function({ product, variant, size, quantity, rentalStartDate, rentalEndDate }) {
+  const existing = this.findItem({ product, variant, size, rentalStartDate, rentalEndDate });
+
+  if (existing) {
+    existing.quantity += quantity;
+    return existing;
+  }
+
+  this.items.push({ product, variant: variant || null, size, quantity, rentalStartDate, rentalEndDate });
+  return this.items[this.items.length - 1];
+};
+
+// Move the items of a guest cart into a user's cart and drop the guest cart
+cartSchema.statics.mergeGuestCart = async function(userId, token) {
+  if (!token) return null;
+
+  const guestCart = await this.findOne({ token, user: { $exists: false } });
+  if (!guestCart) return null;
+
+  let cart = await this.findOne({ user: userId });
+  if (!cart) {
+    cart = new this({ user: userId });
+  }
+
+  guestCart.items.forEach(item => {
+    cart.addItem({
+      product: item.product,
+      variant: item.variant,
+      size: item.size,
+      quantity: item.quantity,
+      rentalStartDate: item.rentalStartDate,
+      rentalEndDate: item.rentalEndDate
+    });
+  });
+
+  await cart.save();
+  await guestCart.deleteOne();
+
+  return cart;
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
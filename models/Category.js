@@ -22,6 +22,18 @@ const categorySchema = new mongoose.Schema({
     unique: true,
     lowercase: true
   },
+  // Parent category (null for top-level categories)
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  // Materialized path of ancestor IDs from the root, e.g. ",womenId,bridalId,"
+  // (just "," for top-level categories)
+  path: {
+    type: String,
+    default: ','
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -29,6 +41,12 @@ const categorySchema = new mongoose.Schema({
   sortOrder: {
     type: Number,
     default: 0
+  },
+  // Default cleaning turnaround for products in this category
+  bufferDays: {
+    type: Number,
+    min: [0, 'Buffer days cannot be negative'],
+    default: 0
   }
 }, {
   timestamps: true
@@ -46,4 +64,63 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
+// Work out the path from the parent. When a category moves, remember the old
+// prefix of its subtree so its descendants can be moved along after saving.
+categorySchema.pre('save', async function(next) {
+  if (!this.isNew && !this.isModified('parent')) return next();
+
+  if (!this.isNew) {
+    this.$locals.previousSubtreePath = `${this.path}${this._id},`;
+  }
+
+  if (!this.parent) {
+    this.path = ',';
+    return next();
+  }
+
+  const parent = await this.constructor.findById(this.parent).select('path');
+  if (!parent) {
+    return next(new Error('Parent category not found'));
+  }
+
+  this.path = `${parent.path}${parent._id},`;
+  next();
+});
+
+// Rewrite the paths of descendants of a category that has moved
+categorySchema.post('save', async function(category) {
+  const previous = category.$locals.previousSubtreePath;
+  const current = `${category.path}${category._id},`;
+  if (!previous || previous === current) return;
+
+  delete category.$locals.previousSubtreePath;
+
+  await category.constructor.updateMany(
+    { path: new RegExp(`^${previous}`) },
+    [{ $set: { path: { $concat: [current, { $substrCP: ['$path', previous.length, { $strLenCP: '$path' }] }] } } }]
+  );
+});
+
+// IDs of the ancestors of this category, root first
+categorySchema.methods.getAncestorIds = function() {
+  return (this.path || ',').split(',').filter(Boolean);
+};
+
+// Whether this category sits somewhere below the category with `categoryId`
+categorySchema.methods.isDescendantOf = function(categoryId) {
+  return this.getAncestorIds().includes(categoryId.toString());
+};
+
+// IDs of every category below the given one
+categorySchema.statics.getDescendantIds = async function(categoryId) {
+  const category = await this.findById(categoryId).select('path');
+  if (!category) return [];
+
+  return this.find({ path: new RegExp(`^${category.path}${category._id},`) }).distinct('_id');
+};
+
+// Index for subtree lookups by path prefix
+categorySchema.index({ path: 1 });
+categorySchema.index({ parent: 1, sortOrder: 1 });
+
 module.exports = mongoose.model('Category', categorySchema); 
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  // Name of the sequence, e.g. "order:ORD:daily:260115"
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Atomically take the next value of a sequence, starting it at 1
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
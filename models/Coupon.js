@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Please provide a coupon code'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot be more than 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: [true, 'Please provide a discount type']
+  },
+  // Percent off for percentage coupons, amount off for flat coupons
+  value: {
+    type: Number,
+    required: [true, 'Please provide a discount value'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  // Cap on the discount of percentage coupons
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+    default: null
+  },
+  minSubtotal: {
+    type: Number,
+    min: [0, 'Minimum subtotal cannot be negative'],
+    default: 0
+  },
+  startsAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Total redemptions allowed across all customers (null for unlimited)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  // Redemptions allowed per customer (null for unlimited)
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per user limit must be at least 1'],
+    default: null
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Restrict the discount to these categories/products (empty for all)
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
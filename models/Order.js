@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const { generateOrderNumber } = require('../utils/orderNumbers');
+
+// Statuses an order may move to from each status
+const ORDER_STATUS_TRANSITIONS = {
+  Pending: ['Confirmed', 'Cancelled'],
+  Confirmed: ['Processing', 'Cancelled'],
+  Processing: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered'],
+  Delivered: ['Returned'],
+  Returned: [],
+  Cancelled: []
+};
 
 const orderSchema = new mongoose.Schema({
   user: {
@@ -10,12 +22,27 @@ const orderSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // When a guest order was linked to the customer's account
+  claimedAt: {
+    type: Date
+  },
   items: [{
     product: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Product',
       required: true
     },
+    // Variant of the product that was rented, and its color at the time
+    variant: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    color: {
+      type: String
+    },
+    size: {
+      type: String,
+      enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size']
+    },
     quantity: {
       type: Number,
       required: true,
@@ -33,6 +60,20 @@ const orderSchema = new mongoose.Schema({
     totalPrice: {
       type: Number,
       required: true
+    },
+    // Refundable deposit held for this item
+    deposit: {
+      type: Number,
+      default: 0
+    },
+    // How the unit price was derived from the product's rates
+    pricing: {
+      rentalDays: Number,
+      baseDays: Number,
+      basePrice: Number,
+      extraDays: Number,
+      extraDayPrice: Number,
+      extraCharge: Number
     }
   }],
   shippingAddress: {
@@ -44,6 +85,12 @@ const orderSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    // Lets guests look up their order by email instead of phone
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
     street: {
       type: String,
       required: true
@@ -73,7 +120,7 @@ const orderSchema = new mongoose.Schema({
   paymentStatus: {
     type: String,
     required: true,
-    enum: ['Pending', 'Paid', 'Failed', 'Refunded'],
+    enum: ['Pending', 'Paid', 'Failed', 'Partially Refunded', 'Refunded'],
     default: 'Pending'
   },
   orderStatus: {
@@ -82,6 +129,28 @@ const orderSchema = new mongoose.Schema({
     enum: ['Pending', 'Confirmed', 'Processing', 'Shipped', 'Delivered', 'Returned', 'Cancelled'],
     default: 'Pending'
   },
+  // Timeline of status changes
+  statusHistory: [{
+    status: {
+      type: String,
+      required: true
+    },
+    from: {
+      type: String
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: {
+      type: String,
+      trim: true
+    }
+  }],
   subtotal: {
     type: Number,
     required: true
@@ -96,10 +165,143 @@ const orderSchema = new mongoose.Schema({
     required: true,
     default: 0
   },
+  // Coupon discount taken off the subtotal
+  discount: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discountType: String,
+    value: Number,
+    amount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Which shipping and tax rules produced shippingCost and tax
+  chargesBreakdown: {
+    shipping: {
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShippingRule'
+      },
+      name: String,
+      cost: Number,
+      freeShipping: Boolean
+    },
+    tax: [{
+      rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxRule'
+      },
+      name: String,
+      rate: Number,
+      taxableAmount: Number,
+      amount: Number
+    }]
+  },
+  // Charges assessed when the rental comes back late or damaged
+  lateFee: {
+    type: Number,
+    default: 0
+  },
+  damageCharge: {
+    type: Number,
+    default: 0
+  },
   totalAmount: {
     type: Number,
     required: true
   },
+  // Refundable security deposit, kept apart from the rental charges
+  deposit: {
+    amount: {
+      type: Number,
+      default: 0
+    },
+    collected: {
+      type: Number,
+      default: 0
+    },
+    deductions: [{
+      amount: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      reason: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      recordedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    refunded: {
+      type: Number,
+      default: 0
+    },
+    status: {
+      type: String,
+      enum: ['Pending', 'Held', 'Partially Refunded', 'Refunded', 'Forfeited'],
+      default: 'Pending'
+    },
+    collectedAt: Date,
+    refundedAt: Date
+  },
+  // Inspection recorded when the rental comes back
+  returnInspection: {
+    returnedAt: Date,
+    inspectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lateDays: {
+      type: Number,
+      default: 0
+    },
+    items: [{
+      item: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+      },
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      condition: {
+        type: String,
+        enum: ['Excellent', 'Very Good', 'Good', 'Fair'],
+        required: true
+      },
+      previousCondition: {
+        type: String,
+        enum: ['Excellent', 'Very Good', 'Good', 'Fair']
+      },
+      photos: [{
+        type: String
+      }],
+      damageCharge: {
+        type: Number,
+        default: 0
+      },
+      notes: {
+        type: String,
+        trim: true
+      }
+    }],
+    notes: {
+      type: String,
+      trim: true
+    }
+  },
   orderNumber: {
     type: String,
     unique: true
@@ -132,25 +334,77 @@ const orderSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate order number before saving
+// Generate order number before saving, from an atomic per-day/per-year sequence
+orderSchema.pre('save', async function(next) {
+  if (!this.isNew || this.orderNumber) return next();
+
+  try {
+    this.orderNumber = await generateOrderNumber();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start the status timeline when the order is placed
 orderSchema.pre('save', function(next) {
-  if (!this.isNew) return next();
-  
-  const date = new Date();
-  const year = date.getFullYear().toString().slice(-2);
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const day = date.getDate().toString().padStart(2, '0');
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  
-  this.orderNumber = `ORD${year}${month}${day}${random}`;
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.orderStatus, changedBy: this.user || undefined });
+  }
   next();
 });
 
+// Check whether the order may move to the given status
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_STATUS_TRANSITIONS[this.orderStatus] || []).includes(status);
+};
+
+// Change the status and record it in the timeline
+orderSchema.methods.changeStatus = function(status, changedBy, note) {
+  this.statusHistory.push({
+    status,
+    from: this.orderStatus,
+    changedBy,
+    note
+  });
+  this.orderStatus = status;
+};
+
+orderSchema.statics.STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
+
 // Calculate total amount
 orderSchema.methods.calculateTotal = function() {
   this.subtotal = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
-  this.totalAmount = this.subtotal + this.shippingCost + this.tax;
+  const discount = this.discount ? this.discount.amount || 0 : 0;
+  this.totalAmount = this.subtotal - discount + this.shippingCost + this.tax + this.lateFee + this.damageCharge;
   return this.totalAmount;
 };
 
+// Total deducted from the deposit for damage
+orderSchema.methods.getDepositDeducted = function() {
+  return this.deposit.deductions.reduce((sum, deduction) => sum + deduction.amount, 0);
+};
+
+// Deposit still held (collected minus deductions and refunds)
+orderSchema.methods.getDepositBalance = function() {
+  const balance = this.deposit.collected - this.getDepositDeducted() - this.deposit.refunded;
+  return Math.round(balance * 100) / 100;
+};
+
+// Move the deposit status along after money was collected, deducted or refunded
+orderSchema.methods.updateDepositStatus = function() {
+  const deducted = this.getDepositDeducted();
+  const balance = this.getDepositBalance();
+
+  if (this.deposit.collected === 0) {
+    this.deposit.status = 'Pending';
+  } else if (balance > 0) {
+    this.deposit.status = this.deposit.refunded > 0 ? 'Partially Refunded' : 'Held';
+  } else if (this.deposit.refunded > 0) {
+    this.deposit.status = deducted > 0 ? 'Partially Refunded' : 'Refunded';
+  } else {
+    this.deposit.status = 'Forfeited';
+  }
+};
+
 module.exports = mongoose.model('Order', orderSchema); 
\ No newline at end of file
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const otpSchema = new mongoose.Schema({
+  // Last 10 digits of the phone number the code was sent to
+  phone: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of the phone and code; the code itself is never stored
+  codeHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Verification attempts made against this code
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+otpSchema.index({ phone: 1, createdAt: -1 });
+// Keep codes for a day after they expire so hourly send limits can count them
+otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Otp', otpSchema);
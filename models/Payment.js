@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  // Intent/order ID issued by the provider
+  intentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Payment ID reported by the provider once the customer pays
+  providerPaymentId: {
+    type: String
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: ['Created', 'Paid', 'Failed'],
+    default: 'Created'
+  },
+  // Webhook events already applied, so redeliveries are ignored
+  events: [{
+    eventId: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ order: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -57,6 +57,49 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Please provide a color'],
     trim: true
   },
+  // Colorways of the same design. A product with variants keeps its stock in
+  // them; the product-level color, images and prices act as defaults.
+  variants: [{
+    color: {
+      type: String,
+      required: [true, 'Please provide a variant color'],
+      trim: true
+    },
+    images: [{
+      type: String
+    }],
+    // Rental price for this variant (falls back to the product price)
+    price: {
+      type: Number,
+      min: [0, 'Price cannot be negative'],
+      default: null
+    },
+    originalPrice: {
+      type: Number,
+      min: [0, 'Original price cannot be negative'],
+      default: null
+    },
+    sizes: [{
+      size: {
+        type: String,
+        enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size'],
+        required: true
+      },
+      isAvailable: {
+        type: Boolean,
+        default: true
+      },
+      quantity: {
+        type: Number,
+        default: 1,
+        min: [0, 'Quantity cannot be negative']
+      }
+    }],
+    isAvailable: {
+      type: Boolean,
+      default: true
+    }
+  }],
   brand: {
     type: String,
     trim: true
@@ -75,6 +118,37 @@ const productSchema = new mongoose.Schema({
     required: [true, 'Please provide rental duration in days'],
     min: [1, 'Rental duration must be at least 1 day']
   },
+  // Charge per day beyond the base rental duration (defaults to the pro-rata base price)
+  extraDayPrice: {
+    type: Number,
+    min: [0, 'Extra day price cannot be negative'],
+    default: null
+  },
+  // Longer rental packages, e.g. 7 days for a fixed price
+  pricingTiers: [{
+    days: {
+      type: Number,
+      required: true,
+      min: [1, 'Package must be at least 1 day']
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: [0, 'Package price cannot be negative']
+    }
+  }],
+  // Refundable deposit per unit (defaults to a share of the original price)
+  securityDeposit: {
+    type: Number,
+    min: [0, 'Security deposit cannot be negative'],
+    default: null
+  },
+  // Cleaning turnaround after each rental (falls back to the category buffer when not set)
+  bufferDays: {
+    type: Number,
+    min: [0, 'Buffer days cannot be negative'],
+    default: null
+  },
   isAvailable: {
     type: Boolean,
     default: true
@@ -119,6 +193,14 @@ const productSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Default the product color to its first variant's
+productSchema.pre('validate', function(next) {
+  if (!this.color && this.variants && this.variants.length > 0) {
+    this.color = this.variants[0].color;
+  }
+  next();
+});
+
 // Set category from first category in categories array for backward compatibility
 productSchema.pre('save', async function(next) {
   if (this.categories && this.categories.length > 0) {
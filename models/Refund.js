@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Online payment the money goes back to (empty for manual payouts)
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  type: {
+    type: String,
+    enum: ['Cancellation', 'Deposit', 'Manual'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Split of the amount between rental charges and the security deposit
+  rentalAmount: {
+    type: Number,
+    default: 0
+  },
+  depositAmount: {
+    type: Number,
+    default: 0
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['Pending', 'Processed', 'Failed'],
+    default: 'Pending'
+  },
+  provider: {
+    type: String,
+    default: 'manual'
+  },
+  providerRefundId: {
+    type: String
+  },
+  failureReason: {
+    type: String
+  },
+  // Cancellation policy applied to work out the amount
+  policy: {
+    daysBeforeNeed: Number,
+    rate: Number
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ order: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const reservationSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant the units were booked in (null for products without variants)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Size the units were booked in (null for product-level bookings)
+  size: {
+    type: String,
+    enum: ['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size', null],
+    default: null
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Last day the units stay blocked, including cleaning turnaround after the rental
+  bufferEndDate: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['Active', 'Released'],
+    default: 'Active'
+  },
+  releasedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Default the blocked window to the rental window when there is no buffer
+reservationSchema.pre('validate', function(next) {
+  if (!this.bufferEndDate) this.bufferEndDate = this.endDate;
+  next();
+});
+
+// Index for overlap lookups
+reservationSchema.index({ product: 1, status: 1, startDate: 1, bufferEndDate: 1 });
+reservationSchema.index({ order: 1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Delivered/returned order the review is based on
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Please provide a rating'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot be more than 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters']
+  },
+  photos: [{
+    type: String
+  }],
+  // Only approved reviews are shown and counted in the product rating
+  status: {
+    type: String,
+    enum: ['Pending', 'Approved', 'Hidden'],
+    default: 'Pending'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  moderatedAt: {
+    type: Date
+  },
+  moderationNote: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// One review per customer per product
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+// Recompute the product's rating and review count from its approved reviews
+reviewSchema.statics.updateProductRating = async function(productId) {
+  const stats = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId.toString()), status: 'Approved' } },
+    { $group: { _id: '$product', rating: { $avg: '$rating' }, numReviews: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Product').findByIdAndUpdate(productId, {
+    rating: stats.length > 0 ? Math.round(stats[0].rating * 10) / 10 : 0,
+    numReviews: stats.length > 0 ? stats[0].numReviews : 0
+  });
+};
+
+reviewSchema.post('save', async function(review) {
+  await review.constructor.updateProductRating(review.product);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function(review) {
+  await review.constructor.updateProductRating(review.product);
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
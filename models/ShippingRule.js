@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const shippingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a rule name'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot be more than 100 characters']
+  },
+  // Zip codes covered by this zone; a trailing * matches a prefix (e.g. 4520*)
+  zipCodes: [{
+    type: String,
+    trim: true
+  }],
+  cities: [{
+    type: String,
+    trim: true
+  }],
+  cost: {
+    type: Number,
+    required: [true, 'Please provide a shipping cost'],
+    min: [0, 'Shipping cost cannot be negative']
+  },
+  // Orders with a subtotal at or above this ship free (null for never)
+  freeShippingThreshold: {
+    type: Number,
+    min: [0, 'Free shipping threshold cannot be negative'],
+    default: null
+  },
+  // Used when no zip code or city rule matches
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Higher priority rules are checked first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ShippingRule', shippingRuleSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const taxRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide a rule name'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot be more than 100 characters']
+  },
+  // Rate in percent, e.g. 18 for 18% GST
+  rate: {
+    type: Number,
+    required: [true, 'Please provide a tax rate'],
+    min: [0, 'Tax rate cannot be negative'],
+    max: [100, 'Tax rate cannot be more than 100']
+  },
+  // States the rule applies to (empty for every state)
+  states: [{
+    type: String,
+    trim: true
+  }],
+  // Categories the rule applies to (empty for every category)
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Higher priority rules are checked first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('TaxRule', taxRuleSchema);
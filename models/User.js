@@ -8,10 +8,12 @@ const userSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Name cannot be more than 50 characters']
   },
+  // Optional for accounts created by phone OTP
   email: {
     type: String,
-    required: [true, 'Please provide an email'],
+    required: [function() { return !this.phoneVerified; }, 'Please provide an email'],
     unique: true,
+    sparse: true,
     lowercase: true,
     match: [
       /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
@@ -20,7 +22,7 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please provide a password'],
+    required: [function() { return !this.phoneVerified; }, 'Please provide a password'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false
   },
@@ -51,7 +53,28 @@ const userSchema = new mongoose.Schema({
   emailVerified: {
     type: Boolean,
     default: false
-  }
+  },
+  // Tokens issued before this are rejected
+  passwordChangedAt: {
+    type: Date
+  },
+  // Set once the phone number is confirmed by OTP; such users can sign in by phone
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Products saved for later
+  wishlist: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 }, {
   timestamps: true
 });
@@ -63,6 +86,11 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+
+    // Back-dated by a second because JWT issue times are whole seconds
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -71,6 +99,8 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Phone-only accounts have no password to match
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -1,18 +1,56 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Cart = require('../models/Cart');
+const { findClaimableOrders, toClaimSummary } = require('../utils/guestOrders');
+const { createAuthToken, consumeAuthToken } = require('../utils/authTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/emails');
+const { issueOtp, verifyOtp, consumeOtp } = require('../utils/otp');
+const { normalizePhone, phonePattern } = require('../utils/phone');
+const { createSession, rotateSession, revokeSessionByToken, revokeUserSessions } = require('../utils/sessions');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production', {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
-  });
+// Requests that send email are limited per IP to stop mail flooding
+const emailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.AUTH_EMAIL_RATE_LIMIT || '5', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later'
+  }
+});
+
+// Phone OTP requests and attempts per IP, on top of the per-phone limits
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.OTP_RATE_LIMIT || '10', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many requests, please try again later'
+  }
+});
+
+// Phone numbers with at least 10 digits, optionally separated by spaces or dashes
+const isPhoneNumber = (value) => /^\+?[\d\s-]{10,16}$/.test(value) && normalizePhone(value).length === 10;
+
+// Send a fresh email verification link; failures are logged, not thrown
+const sendVerification = async (user) => {
+  try {
+    const token = await createAuthToken(user._id, 'email-verification');
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    console.error('Send verification email error:', error);
+  }
 };
 
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -58,9 +96,10 @@ router.post('/register', [
     });
 
     await user.save();
+    await sendVerification(user);
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
@@ -74,7 +113,8 @@ router.post('/register', [
           phone: user.phone,
           address: user.address
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -91,7 +131,8 @@ router.post('/register', [
 // @access  Public
 router.post('/login', [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
-  body('password').notEmpty().withMessage('Password is required')
+  body('password').notEmpty().withMessage('Password is required'),
+  body('cartToken').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -131,8 +172,15 @@ router.post('/login', [
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Carry over anything the user added to a guest cart before logging in
+    try {
+      await Cart.mergeGuestCart(user._id, req.body.cartToken || req.headers['x-cart-token']);
+    } catch (error) {
+      console.error('Guest cart merge error:', error);
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
@@ -147,7 +195,8 @@ router.post('/login', [
           address: user.address,
           avatar: user.avatar
         },
-        token
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -159,6 +208,566 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/otp/request
+// @desc    Send a one-time login code to a phone number
+// @access  Public
+router.post('/otp/request', otpLimiter, [
+  body('phone').trim().custom(isPhoneNumber).withMessage('Please provide a valid phone number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await issueOtp(req.body.phone);
+    if (result.error) {
+      return res.status(429).json({
+        success: false,
+        message: result.error,
+        data: { retryAfter: result.retryAfter }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: { expiresAt: result.expiresAt }
+    });
+  } catch (error) {
+    console.error('Request OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification code'
+    });
+  }
+});
+
+// @route   POST /api/auth/otp/verify
+// @desc    Log in or register with a phone number and one-time code
+// @access  Public
+router.post('/otp/verify', otpLimiter, [
+  body('phone').trim().custom(isPhoneNumber).withMessage('Please provide a valid phone number'),
+  body('code').trim().isLength({ min: 4, max: 8 }).isNumeric().withMessage('Please provide the verification code'),
+  body('name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
+  body('cartToken').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { phone, code, name } = req.body;
+
+    const result = await verifyOtp(phone, code);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        data: { attemptsLeft: result.attemptsLeft }
+      });
+    }
+
+    // Only numbers confirmed by OTP identify an account
+    let user = await User.findOne({ phone: phonePattern(phone), phoneVerified: true });
+
+    if (user && !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    // New numbers register a phone-only account, which needs a name
+    if (!user && !name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required to create an account',
+        data: { requiresName: true }
+      });
+    }
+
+    if (!(await consumeOtp(result.otp))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is invalid or has expired, please request a new one'
+      });
+    }
+
+    const isNewUser = !user;
+    if (isNewUser) {
+      user = new User({
+        name,
+        phone,
+        phoneVerified: true
+      });
+      await user.save();
+    }
+
+    // Carry over anything added to a guest cart before logging in
+    try {
+      await Cart.mergeGuestCart(user._id, req.body.cartToken || req.headers['x-cart-token']);
+    } catch (error) {
+      console.error('Guest cart merge error:', error);
+    }
+
+    // Offer guest orders placed with the verified phone
+    let claimableOrders = [];
+    try {
+      claimableOrders = (await findClaimableOrders(user)).map(toClaimSummary);
+    } catch (error) {
+      console.error('Find claimable orders error:', error);
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: isNewUser ? 'User registered successfully' : 'Login successful',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          phone: user.phone,
+          address: user.address,
+          avatar: user.avatar
+        },
+        token,
+        refreshToken,
+        isNewUser,
+        claimableOrders
+      }
+    });
+  } catch (error) {
+    console.error('Verify OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying code'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with the emailed token
+// @access  Public
+router.post('/verify-email', [
+  body('token').trim().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const authToken = await consumeAuthToken(req.body.token, 'email-verification');
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    // Offer guest orders placed with the now verified email
+    let claimableOrders = [];
+    try {
+      claimableOrders = (await findClaimableOrders(user)).map(toClaimSummary);
+    } catch (error) {
+      console.error('Find claimable orders error:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { claimableOrders }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Private
+router.post('/resend-verification', protect, emailLimiter, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const token = await createAuthToken(req.user._id, 'email-verification');
+    await sendVerificationEmail(req.user, token);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+});
+
+// Whether another account already signs in with this phone number
+const isPhoneTaken = (phone, userId) => {
+  return User.exists({ _id: { $ne: userId }, phone: phonePattern(phone), phoneVerified: true });
+};
+
+// @route   POST /api/auth/phone/request
+// @desc    Send a one-time code to confirm a phone number for the current user
+// @access  Private
+router.post('/phone/request', protect, otpLimiter, [
+  body('phone').trim().custom(isPhoneNumber).withMessage('Please provide a valid phone number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    if (await isPhoneTaken(req.body.phone, req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This phone number is already linked to another account'
+      });
+    }
+
+    const result = await issueOtp(req.body.phone);
+    if (result.error) {
+      return res.status(429).json({
+        success: false,
+        message: result.error,
+        data: { retryAfter: result.retryAfter }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: { expiresAt: result.expiresAt }
+    });
+  } catch (error) {
+    console.error('Request phone verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification code'
+    });
+  }
+});
+
+// @route   POST /api/auth/phone/verify
+// @desc    Confirm a phone number for the current user with the one-time code
+// @access  Private
+router.post('/phone/verify', protect, otpLimiter, [
+  body('phone').trim().custom(isPhoneNumber).withMessage('Please provide a valid phone number'),
+  body('code').trim().isLength({ min: 4, max: 8 }).isNumeric().withMessage('Please provide the verification code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { phone, code } = req.body;
+
+    const result = await verifyOtp(phone, code);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        data: { attemptsLeft: result.attemptsLeft }
+      });
+    }
+
+    if (await isPhoneTaken(phone, req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This phone number is already linked to another account'
+      });
+    }
+
+    if (!(await consumeOtp(result.otp))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is invalid or has expired, please request a new one'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    user.phone = phone;
+    user.phoneVerified = true;
+    await user.save();
+
+    // Offer guest orders placed with the newly verified phone
+    let claimableOrders = [];
+    try {
+      claimableOrders = (await findClaimableOrders(user)).map(toClaimSummary);
+    } catch (error) {
+      console.error('Find claimable orders error:', error);
+    }
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          phone: user.phone,
+          phoneVerified: user.phoneVerified,
+          address: user.address,
+          avatar: user.avatar
+        },
+        claimableOrders
+      }
+    });
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying phone number'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', emailLimiter, [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      const token = await createAuthToken(user._id, 'password-reset');
+      await sendPasswordResetEmail(user, token);
+    }
+
+    // Same answer whether or not the email is registered
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the emailed token
+// @access  Public
+router.post('/reset-password', [
+  body('token').trim().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const authToken = await consumeAuthToken(req.body.token, 'password-reset');
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(authToken.user);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    // Receiving the reset email proves the address belongs to the user
+    user.emailVerified = true;
+    await user.save();
+
+    // Whoever knew the old password must not stay signed in
+    await revokeUserSessions(user._id, 'Password reset');
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').trim().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      await revokeSessionByToken(result.refreshToken, 'User deactivated');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: result.token,
+        refreshToken: result.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing token'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session of a refresh token
+// @access  Public
+router.post('/logout', [
+  body('refreshToken').trim().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    await revokeSessionByToken(req.body.refreshToken, 'Logged out');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user._id, 'Logged out everywhere');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -178,6 +787,7 @@ router.get('/me', protect, async (req, res) => {
           address: user.address,
           avatar: user.avatar,
           emailVerified: user.emailVerified,
+          phoneVerified: user.phoneVerified,
           isActive: user.isActive
         }
       }
@@ -225,9 +835,25 @@ router.put('/profile', protect, [
 
     // Update fields
     if (name) user.name = name;
-    if (phone) user.phone = phone;
     if (address) user.address = address;
 
+    if (phone) {
+      const phoneChanged = normalizePhone(phone) !== normalizePhone(user.phone);
+
+      // Phone-only accounts sign in with their number, so it cannot be swapped here
+      if (phoneChanged && !user.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'The phone number of a phone-only account cannot be changed'
+        });
+      }
+
+      user.phone = phone;
+
+      // The new number has not been confirmed by OTP
+      if (phoneChanged) user.phoneVerified = false;
+    }
+
     await user.save();
 
     res.json({
@@ -294,9 +920,17 @@ router.post('/change-password', protect, [
     user.password = newPassword;
     await user.save();
 
+    // Sign out every device, then give this one a fresh session
+    await revokeUserSessions(user._id, 'Password changed');
+    const { token, refreshToken } = await createSession(user, req);
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully',
+      data: {
+        token,
+        refreshToken
+      }
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -0,0 +1,499 @@
+const crypto = require('crypto');
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { optionalAuth } = require('../middleware/auth');
+const { checkAvailability, getBufferDays, resolveItemSize } = require('../utils/availability');
+const { roundAmount, getRentalDays, calculateItemPrice, calculateDeposit } = require('../utils/pricing');
+const { findVariant, resolveItemVariant, applyVariant } = require('../utils/variants');
+const { placeOrder } = require('../utils/checkout');
+
+const router = express.Router();
+
+const CART_PRODUCT_FIELDS = 'name slug images price originalPrice rentalDuration extraDayPrice pricingTiers securityDeposit sizes variants color isAvailable categories bufferDays';
+
+const getCartToken = (req) => req.headers['x-cart-token'];
+
+// Load the caller's cart: the user's cart when logged in, otherwise the guest
+// cart named by the X-Cart-Token header. With `create`, a missing cart is started.
+const findCart = async (req, create) => {
+  if (req.user) {
+    const cart = await Cart.findOne({ user: req.user._id });
+    return cart || (create ? new Cart({ user: req.user._id }) : null);
+  }
+
+  const token = getCartToken(req);
+  if (token) {
+    const cart = await Cart.findOne({ token, user: { $exists: false } });
+    if (cart) return cart;
+  }
+
+  return create ? new Cart({ token: crypto.randomBytes(24).toString('hex') }) : null;
+};
+
+// Check a pair of rental dates, returning an error message when invalid
+const validateRentalDates = (rentalStartDate, rentalEndDate) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  if (new Date(rentalStartDate) < today) {
+    return 'Rental start date cannot be in the past';
+  }
+
+  if (new Date(rentalEndDate) <= new Date(rentalStartDate)) {
+    return 'Rental end date must be after start date';
+  }
+
+  return null;
+};
+
+// Price every line against the product's current rates and flag lines that
+// can no longer be booked
+const buildCartResponse = async (cart) => {
+  if (!cart) {
+    return { token: null, items: [], itemCount: 0, subtotal: 0, deposit: 0 };
+  }
+
+  await cart.populate('items.product', CART_PRODUCT_FIELDS);
+
+  // Drop lines whose product has been deleted
+  const missing = cart.items.filter(item => !item.product);
+  if (missing.length > 0) {
+    missing.forEach(item => cart.items.pull(item._id));
+    await cart.save();
+  }
+
+  const items = [];
+  let subtotal = 0;
+  let deposit = 0;
+
+  for (const item of cart.items) {
+    const product = item.product;
+    const variant = findVariant(product, item.variant);
+    const pricedProduct = applyVariant(product, variant);
+    const rentalDays = getRentalDays(item.rentalStartDate, item.rentalEndDate);
+    const pricing = calculateItemPrice(pricedProduct, rentalDays, item.quantity);
+    const itemDeposit = calculateDeposit(pricedProduct, item.quantity);
+
+    let message = validateRentalDates(item.rentalStartDate, item.rentalEndDate);
+    if (!message && !product.isAvailable) {
+      message = `Product ${product.name} is not available`;
+    }
+    if (!message && item.variant && (!variant || variant.isAvailable === false)) {
+      message = `The selected color of ${product.name} is no longer available`;
+    }
+    if (!message) {
+      const availability = await checkAvailability(product, {
+        variant,
+        size: item.size,
+        quantity: item.quantity,
+        startDate: item.rentalStartDate,
+        endDate: item.rentalEndDate,
+        bufferDays: await getBufferDays(product)
+      });
+      if (!availability.available) {
+        message = `Only ${availability.remaining} available for the selected dates`;
+      }
+    }
+
+    if (!message) {
+      subtotal += pricing.totalPrice;
+      deposit += itemDeposit;
+    }
+
+    items.push({
+      _id: item._id,
+      product: {
+        _id: product._id,
+        name: product.name,
+        slug: product.slug,
+        images: pricedProduct.images,
+        price: pricedProduct.price
+      },
+      variant: variant ? { _id: variant._id, color: variant.color } : null,
+      size: item.size,
+      quantity: item.quantity,
+      rentalStartDate: item.rentalStartDate,
+      rentalEndDate: item.rentalEndDate,
+      rentalDays,
+      unitPrice: pricing.unitPrice,
+      totalPrice: pricing.totalPrice,
+      deposit: itemDeposit,
+      isAvailable: !message,
+      message
+    });
+  }
+
+  return {
+    token: cart.token || null,
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: roundAmount(subtotal),
+    deposit: roundAmount(deposit),
+    updatedAt: cart.updatedAt
+  };
+};
+
+// @route   GET /api/cart
+// @desc    Get the current cart with live prices
+// @access  Public (guest cart token) / Private
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(req, false);
+
+    res.json({
+      success: true,
+      data: { cart: await buildCartResponse(cart) }
+    });
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching cart'
+    });
+  }
+});
+
+// @route   POST /api/cart/items
+// @desc    Add an item to the cart
+// @access  Public (guest cart token) / Private
+router.post('/items', optionalAuth, [
+  body('product').isMongoId().withMessage('Valid product ID is required'),
+  body('variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+  body('size').optional().isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size']).withMessage('Valid size is required'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('rentalStartDate').isISO8601().withMessage('Valid rental start date is required'),
+  body('rentalEndDate').isISO8601().withMessage('Valid rental end date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { rentalStartDate, rentalEndDate } = req.body;
+    const quantity = parseInt(req.body.quantity || 1);
+
+    const dateError = validateRentalDates(rentalStartDate, rentalEndDate);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
+
+    const product = await Product.findById(req.body.product);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (!product.isAvailable) {
+      return res.status(400).json({
+        success: false,
+        message: `Product ${product.name} is not available`
+      });
+    }
+
+    const variantResult = resolveItemVariant(product, req.body.variant);
+    if (variantResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: variantResult.error
+      });
+    }
+    const variant = variantResult.variant;
+
+    const sizeResult = resolveItemSize(product, req.body.size, variant);
+    if (sizeResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: sizeResult.error
+      });
+    }
+
+    const cart = await findCart(req, true);
+    cart.addItem({
+      product: product._id,
+      variant: variant ? variant._id : null,
+      size: sizeResult.size,
+      quantity,
+      rentalStartDate: new Date(rentalStartDate),
+      rentalEndDate: new Date(rentalEndDate)
+    });
+    await cart.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Item added to cart',
+      data: { cart: await buildCartResponse(cart) }
+    });
+  } catch (error) {
+    console.error('Add cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding item to cart'
+    });
+  }
+});
+
+// @route   PUT /api/cart/items/:itemId
+// @desc    Update the variant, size, quantity or rental dates of a cart item
+// @access  Public (guest cart token) / Private
+router.put('/items/:itemId', optionalAuth, [
+  body('variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+  body('size').optional().isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size']).withMessage('Valid size is required'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('rentalStartDate').optional().isISO8601().withMessage('Valid rental start date is required'),
+  body('rentalEndDate').optional().isISO8601().withMessage('Valid rental end date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await findCart(req, false);
+    const item = cart ? cart.items.id(req.params.itemId) : null;
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    if (req.body.rentalStartDate || req.body.rentalEndDate) {
+      const rentalStartDate = new Date(req.body.rentalStartDate || item.rentalStartDate);
+      const rentalEndDate = new Date(req.body.rentalEndDate || item.rentalEndDate);
+
+      const dateError = validateRentalDates(rentalStartDate, rentalEndDate);
+      if (dateError) {
+        return res.status(400).json({
+          success: false,
+          message: dateError
+        });
+      }
+
+      item.rentalStartDate = rentalStartDate;
+      item.rentalEndDate = rentalEndDate;
+    }
+
+    if (req.body.variant !== undefined || req.body.size !== undefined) {
+      const product = await Product.findById(item.product);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found'
+        });
+      }
+
+      const variantResult = resolveItemVariant(product, req.body.variant !== undefined ? req.body.variant : item.variant);
+      if (variantResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: variantResult.error
+        });
+      }
+      const variant = variantResult.variant;
+
+      // A new variant may not stock the current size, so the size is checked again
+      const sizeResult = resolveItemSize(product, req.body.size !== undefined ? req.body.size : item.size, variant);
+      if (sizeResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: sizeResult.error
+        });
+      }
+      item.variant = variant ? variant._id : null;
+      item.size = sizeResult.size;
+    }
+
+    if (req.body.quantity !== undefined) {
+      item.quantity = parseInt(req.body.quantity);
+    }
+
+    // Fold the line into another one that now has the same variant, size and dates
+    const duplicate = cart.findItem(item, item._id);
+    if (duplicate) {
+      duplicate.quantity += item.quantity;
+      cart.items.pull(item._id);
+    }
+
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Cart item updated',
+      data: { cart: await buildCartResponse(cart) }
+    });
+  } catch (error) {
+    console.error('Update cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating cart item'
+    });
+  }
+});
+
+// @route   DELETE /api/cart/items/:itemId
+// @desc    Remove an item from the cart
+// @access  Public (guest cart token) / Private
+router.delete('/items/:itemId', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(req, false);
+    if (!cart || !cart.items.id(req.params.itemId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart item not found'
+      });
+    }
+
+    cart.items.pull(req.params.itemId);
+    await cart.save();
+
+    res.json({
+      success: true,
+      message: 'Item removed from cart',
+      data: { cart: await buildCartResponse(cart) }
+    });
+  } catch (error) {
+    console.error('Remove cart item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing cart item'
+    });
+  }
+});
+
+// @route   DELETE /api/cart
+// @desc    Remove all items from the cart
+// @access  Public (guest cart token) / Private
+router.delete('/', optionalAuth, async (req, res) => {
+  try {
+    const cart = await findCart(req, false);
+    if (cart) {
+      cart.items = [];
+      await cart.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Cart cleared',
+      data: { cart: await buildCartResponse(cart) }
+    });
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while clearing cart'
+    });
+  }
+});
+
+// @route   POST /api/cart/checkout
+// @desc    Place an order for the items in the cart
+// @access  Public (guest cart token) / Private
+router.post('/checkout', optionalAuth, [
+  body('shippingAddress.name').notEmpty().withMessage('Shipping name is required'),
+  body('shippingAddress.phone').notEmpty().withMessage('Shipping phone is required'),
+  body('shippingAddress.email').optional().isEmail().withMessage('Valid shipping email is required'),
+  body('shippingAddress.street').notEmpty().withMessage('Shipping street is required'),
+  body('shippingAddress.city').notEmpty().withMessage('Shipping city is required'),
+  body('shippingAddress.state').notEmpty().withMessage('Shipping state is required'),
+  body('shippingAddress.zipCode').notEmpty().withMessage('Shipping zip code is required'),
+  body('shippingAddress.country').notEmpty().withMessage('Shipping country is required'),
+  body('paymentMethod').isIn(['Credit Card', 'Debit Card', 'PayPal', 'Cash on Delivery']).withMessage('Valid payment method is required'),
+  body('needDate').isISO8601().withMessage('Valid need date is required'),
+  body('couponCode').optional().isString().withMessage('Coupon code must be a string').trim(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const cart = await findCart(req, false);
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    // An order covers a single rental period
+    const { rentalStartDate, rentalEndDate } = cart.items[0];
+    const sameDates = cart.items.every(item =>
+      item.rentalStartDate.getTime() === rentalStartDate.getTime() &&
+      item.rentalEndDate.getTime() === rentalEndDate.getTime()
+    );
+    if (!sameDates) {
+      return res.status(400).json({
+        success: false,
+        message: 'All cart items must have the same rental dates to check out together'
+      });
+    }
+
+    const result = await placeOrder({
+      userId: req.user ? req.user.id : undefined,
+      items: cart.items.map(item => ({
+        product: item.product,
+        variant: item.variant || undefined,
+        size: item.size || undefined,
+        quantity: item.quantity
+      })),
+      shippingAddress: req.body.shippingAddress,
+      paymentMethod: req.body.paymentMethod,
+      rentalStartDate,
+      rentalEndDate,
+      needDate: req.body.needDate,
+      couponCode: req.body.couponCode,
+      notes: req.body.notes
+    });
+
+    if (!result.order) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        data: result.data
+      });
+    }
+
+    cart.items = [];
+    await cart.save();
+
+    const populatedOrder = await Order.findById(result.order._id)
+      .populate('user', 'name email')
+      .populate('items.product', 'name images price');
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: { order: populatedOrder }
+    });
+  } catch (error) {
+    console.error('Cart checkout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while checking out cart'
+    });
+  }
+});
+
+module.exports = router;
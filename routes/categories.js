@@ -1,28 +1,90 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Category = require('../models/Category');
 const { protect, admin } = require('../middleware/auth');
 const { uploadImage, deleteImage } = require('../config/cloudinary');
+const { invalidateSuggestionIndex } = require('../utils/suggestions');
 
 const router = express.Router();
 
+// Nest categories under their parents. Categories whose parent is missing
+// from the list (e.g. inactive) are left out along with their subtree.
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category._id.toString(), {
+    _id: category._id,
+    name: category.name,
+    slug: category.slug,
+    image: category.image,
+    sortOrder: category.sortOrder,
+    depth: category.getAncestorIds().length,
+    children: []
+  }]));
+
+  const roots = [];
+  categories.forEach(category => {
+    const node = nodes.get(category._id.toString());
+    if (!category.parent) {
+      roots.push(node);
+    } else if (nodes.has(category.parent.toString())) {
+      nodes.get(category.parent.toString()).children.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// Check a new parent for a category, returning an error message when invalid
+const validateParent = async (parentId, category) => {
+  if (!parentId) return null;
+
+  const parent = await Category.findById(parentId);
+  if (!parent) {
+    return 'Parent category not found';
+  }
+
+  if (category && (parent._id.equals(category._id) || parent.isDescendantOf(category._id))) {
+    return 'A category cannot be moved under itself or one of its subcategories';
+  }
+
+  return null;
+};
+
 // @route   GET /api/categories
-// @desc    Get all categories
+// @desc    Get all categories (?parent=root or a category ID for one level)
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', [
+  query('parent').optional()
+    .custom(value => value === 'root' || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('Parent must be root or a valid category ID')
+], async (req, res) => {
   try {
-    const { page = 1, limit = 10, sort = 'sortOrder', order = 'asc' } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10, sort = 'sortOrder', order = 'asc', parent } = req.query;
     
     const sortOptions = {};
     sortOptions[sort] = order === 'desc' ? -1 : 1;
 
-    const categories = await Category.find({ isActive: true })
+    const filter = { isActive: true };
+
+    if (parent) {
+      filter.parent = parent === 'root' ? null : parent;
+    }
+
+    const categories = await Category.find(filter)
       .sort(sortOptions)
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .exec();
 
-    const total = await Category.countDocuments({ isActive: true });
+    const total = await Category.countDocuments(filter);
 
     res.json({
       success: true,
@@ -42,8 +104,28 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/categories/tree
+// @desc    Get all active categories nested under their parents
+// @access  Public
+router.get('/tree', async (req, res) => {
+  try {
+    const categories = await Category.find({ isActive: true }).sort({ sortOrder: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { tree: buildTree(categories) }
+    });
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching category tree'
+    });
+  }
+});
+
 // @route   GET /api/categories/slug/:slug
-// @desc    Get category by slug
+// @desc    Get category by slug, with its breadcrumbs and subcategories
 // @access  Public
 router.get('/slug/:slug', async (req, res) => {
   try {
@@ -59,9 +141,22 @@ router.get('/slug/:slug', async (req, res) => {
       });
     }
 
+    // Ancestors from the root down, then the category itself
+    const ancestorIds = category.getAncestorIds();
+    const ancestors = await Category.find({ _id: { $in: ancestorIds } }).select('name slug');
+    const breadcrumbs = ancestorIds
+      .map(id => ancestors.find(ancestor => ancestor._id.toString() === id))
+      .filter(Boolean)
+      .concat(category)
+      .map(crumb => ({ _id: crumb._id, name: crumb.name, slug: crumb.slug }));
+
+    const children = await Category.find({ parent: category._id, isActive: true })
+      .select('name slug image sortOrder')
+      .sort({ sortOrder: 1, name: 1 });
+
     res.json({
       success: true,
-      data: { category }
+      data: { category, breadcrumbs, children }
     });
   } catch (error) {
     console.error('Get category by slug error:', error);
@@ -106,7 +201,9 @@ router.post('/', protect, admin, [
   body('name').trim().isLength({ min: 2, max: 50 }).withMessage('Name must be between 2 and 50 characters'),
   body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot be more than 200 characters'),
   body('image').notEmpty().withMessage('Image is required'),
-  body('sortOrder').optional().isInt({ min: 0 }).withMessage('Sort order must be a positive integer')
+  body('sortOrder').optional().isInt({ min: 0 }).withMessage('Sort order must be a positive integer'),
+  body('bufferDays').optional().isInt({ min: 0, max: 30 }).withMessage('Buffer days must be between 0 and 30'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Valid parent category ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -118,7 +215,7 @@ router.post('/', protect, admin, [
       });
     }
 
-    const { name, description, image, sortOrder } = req.body;
+    const { name, description, image, sortOrder, bufferDays, parent } = req.body;
 
     // Check if category already exists
     const existingCategory = await Category.findOne({ name });
@@ -129,6 +226,14 @@ router.post('/', protect, admin, [
       });
     }
 
+    const parentError = await validateParent(parent);
+    if (parentError) {
+      return res.status(400).json({
+        success: false,
+        message: parentError
+      });
+    }
+
     // Upload image to Cloudinary if it's a base64 string
     let imageUrl = image;
     if (image.startsWith('data:image')) {
@@ -140,10 +245,13 @@ router.post('/', protect, admin, [
       name,
       description,
       image: imageUrl,
-      sortOrder: sortOrder || 0
+      sortOrder: sortOrder || 0,
+      bufferDays: bufferDays || 0,
+      parent: parent || null
     });
 
     await category.save();
+    invalidateSuggestionIndex();
 
     res.status(201).json({
       success: true,
@@ -167,7 +275,9 @@ router.put('/:id', protect, admin, [
   body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot be more than 200 characters'),
   body('image').optional(),
   body('sortOrder').optional().isInt({ min: 0 }).withMessage('Sort order must be a positive integer'),
-  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  body('bufferDays').optional().isInt({ min: 0, max: 30 }).withMessage('Buffer days must be between 0 and 30'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Valid parent category ID is required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -179,7 +289,7 @@ router.put('/:id', protect, admin, [
       });
     }
 
-    const { name, description, image, sortOrder, isActive } = req.body;
+    const { name, description, image, sortOrder, bufferDays, isActive, parent } = req.body;
 
     const category = await Category.findById(req.params.id);
     if (!category) {
@@ -200,6 +310,17 @@ router.put('/:id', protect, admin, [
       }
     }
 
+    // Moving a category takes its subcategories along
+    if (parent !== undefined) {
+      const parentError = await validateParent(parent, category);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+
     // Upload new image to Cloudinary if provided and it's a base64 string
     let imageUrl = category.image;
     if (image && image.startsWith('data:image')) {
@@ -214,9 +335,12 @@ router.put('/:id', protect, admin, [
     if (description !== undefined) category.description = description;
     if (imageUrl) category.image = imageUrl;
     if (sortOrder !== undefined) category.sortOrder = sortOrder;
+    if (bufferDays !== undefined) category.bufferDays = bufferDays;
     if (isActive !== undefined) category.isActive = isActive;
+    if (parent !== undefined) category.parent = parent || null;
 
     await category.save();
+    invalidateSuggestionIndex();
 
     res.json({
       success: true,
@@ -246,6 +370,15 @@ router.delete('/:id', protect, admin, async (req, res) => {
       });
     }
 
+    // Subcategories would be left without a parent
+    const childCount = await Category.countDocuments({ parent: category._id });
+    if (childCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a category that has subcategories'
+      });
+    }
+
     // Check if category has products (you might want to add this check)
     // const productCount = await Product.countDocuments({ category: category._id });
     // if (productCount > 0) {
@@ -266,6 +399,7 @@ router.delete('/:id', protect, admin, async (req, res) => {
     }
 
     await Category.findByIdAndDelete(req.params.id);
+    invalidateSuggestionIndex();
 
     res.json({
       success: true,
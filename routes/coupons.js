@@ -0,0 +1,327 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Product = require('../models/Product');
+const { protect, admin, optionalAuth } = require('../middleware/auth');
+const { evaluateCoupon } = require('../utils/coupons');
+const { getRentalDays, calculateItemPrice, roundAmount } = require('../utils/pricing');
+const { resolveItemVariant, applyVariant } = require('../utils/variants');
+
+const router = express.Router();
+
+const couponFields = [
+  'code', 'description', 'discountType', 'value', 'maxDiscount', 'minSubtotal',
+  'startsAt', 'expiresAt', 'usageLimit', 'perUserLimit', 'categories', 'products', 'isActive'
+];
+
+const couponValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('code').trim().isLength({ min: 3, max: 30 }).withMessage('Code must be between 3 and 30 characters'),
+    body('description').optional().trim().isLength({ max: 200 }).withMessage('Description cannot be more than 200 characters'),
+    field('discountType').isIn(['percentage', 'flat']).withMessage('Discount type must be percentage or flat'),
+    field('value').isFloat({ gt: 0 }).withMessage('Value must be greater than 0'),
+    body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+    body('minSubtotal').optional().isFloat({ min: 0 }).withMessage('Minimum subtotal must be a positive number'),
+    body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Valid start date is required'),
+    body('expiresAt').optional({ nullable: true }).isISO8601().withMessage('Valid expiry date is required'),
+    body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+    body('perUserLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Per user limit must be at least 1'),
+    body('categories').optional().isArray().withMessage('Categories must be an array'),
+    body('categories.*').optional().isMongoId().withMessage('Valid category ID is required'),
+    body('products').optional().isArray().withMessage('Products must be an array'),
+    body('products.*').optional().isMongoId().withMessage('Valid product ID is required'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Copy the coupon fields that were sent onto a coupon
+const assignFields = (coupon, source) => {
+  couponFields.forEach(field => {
+    if (source[field] !== undefined) {
+      coupon[field] = source[field];
+    }
+  });
+};
+
+// @route   POST /api/coupons/validate
+// @desc    Preview the discount a coupon gives on a cart
+// @access  Public
+router.post('/validate', optionalAuth, [
+  body('code').isString().withMessage('Coupon code is required').trim().notEmpty().withMessage('Coupon code is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+  body('rentalStartDate').optional().isISO8601().withMessage('Valid rental start date is required'),
+  body('rentalEndDate').optional().isISO8601().withMessage('Valid rental end date is required'),
+  body('phone').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { code, items, rentalStartDate, rentalEndDate, phone } = req.body;
+
+    // Price the cart the same way checkout will
+    const cartItems = [];
+    let subtotal = 0;
+
+    for (const item of items) {
+      const product = await Product.findById(item.product);
+      if (!product) {
+        return res.status(400).json({
+          success: false,
+          message: `Product with ID ${item.product} not found`
+        });
+      }
+
+      // Variants may override the product's prices
+      const variantResult = resolveItemVariant(product, item.variant);
+      if (variantResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: variantResult.error
+        });
+      }
+
+      const rentalDays = rentalStartDate && rentalEndDate
+        ? getRentalDays(rentalStartDate, rentalEndDate)
+        : product.rentalDuration;
+      const pricing = calculateItemPrice(applyVariant(product, variantResult.variant), rentalDays, item.quantity);
+
+      subtotal += pricing.totalPrice;
+      cartItems.push({ product: product._id, categories: product.categories, amount: pricing.totalPrice });
+    }
+
+    const result = await evaluateCoupon(code, {
+      items: cartItems,
+      subtotal,
+      userId: req.user ? req.user.id : undefined,
+      guestPhone: req.user ? undefined : phone
+    });
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        code: result.coupon.code,
+        description: result.coupon.description,
+        subtotal: roundAmount(subtotal),
+        eligibleAmount: result.eligibleAmount,
+        discount: result.amount,
+        subtotalAfterDiscount: roundAmount(subtotal - result.amount)
+      }
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while validating coupon'
+    });
+  }
+});
+
+// @route   GET /api/coupons
+// @desc    Get all coupons (admin only)
+// @access  Private/Admin
+router.get('/', protect, admin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, isActive, search } = req.query;
+
+    const filter = {};
+
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    if (search) {
+      filter.code = { $regex: search, $options: 'i' };
+    }
+
+    const coupons = await Coupon.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Coupon.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        coupons,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupons'
+    });
+  }
+});
+
+// @route   GET /api/coupons/:id
+// @desc    Get single coupon (admin only)
+// @access  Private/Admin
+router.get('/:id', protect, admin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('categories', 'name slug')
+      .populate('products', 'name slug');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { coupon }
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching coupon'
+    });
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Create coupon (admin only)
+// @access  Private/Admin
+router.post('/', protect, admin, couponValidation(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const existingCoupon = await Coupon.findOne({ code: req.body.code.toUpperCase() });
+    if (existingCoupon) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon with this code already exists'
+      });
+    }
+
+    const coupon = new Coupon();
+    assignFields(coupon, req.body);
+    await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating coupon'
+    });
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update coupon (admin only)
+// @access  Private/Admin
+router.put('/:id', protect, admin, couponValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Check if code is being changed and if it already exists
+    if (req.body.code && req.body.code.toUpperCase() !== coupon.code) {
+      const existingCoupon = await Coupon.findOne({ code: req.body.code.toUpperCase() });
+      if (existingCoupon) {
+        return res.status(400).json({
+          success: false,
+          message: 'Coupon with this code already exists'
+        });
+      }
+    }
+
+    assignFields(coupon, req.body);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating coupon'
+    });
+  }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete coupon (admin only)
+// @access  Private/Admin
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting coupon'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,167 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Product = require('../models/Product');
+const Refund = require('../models/Refund');
 const { protect, admin } = require('../middleware/auth');
+const { uploadImage } = require('../config/cloudinary');
+const { startOfDay, releaseOrderReservations, completeOrderReservations } = require('../utils/availability');
+const { roundAmount, calculateLateFee } = require('../utils/pricing');
+const { getRefundedRentalAmount, getCancellationRefund, issueRefund, applyRefundToOrder } = require('../utils/refunds');
+const { releaseCoupon } = require('../utils/coupons');
+const { placeOrder } = require('../utils/checkout');
+const { matchesContact, findClaimableOrders, toClaimSummary } = require('../utils/guestOrders');
 
 const router = express.Router();
 
+// Statuses in which customers may still cancel, before processing starts
+const CUSTOMER_CANCELLABLE_STATUSES = ['Pending', 'Confirmed'];
+
+// Guest order lookups are keyed on guessable details, so keep them slow
+const trackingLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.ORDER_TRACKING_RATE_LIMIT || '10', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many order lookups, please try again later'
+  }
+});
+
+// Cancel an order, refund it under the cancellation policy if it was paid and
+// free its reservations and coupon. `cancelledBy` is null for guests.
+const cancelOrder = async (order, cancelledBy, note) => {
+  order.changeStatus('Cancelled', cancelledBy, note);
+
+  let refund = null;
+  const policy = ['Paid', 'Partially Refunded'].includes(order.paymentStatus)
+    ? await getCancellationRefund(order)
+    : null;
+
+  if (policy && policy.rentalAmount + policy.depositAmount > 0) {
+    refund = await issueRefund(order, {
+      rentalAmount: policy.rentalAmount,
+      depositAmount: policy.depositAmount,
+      type: 'Cancellation',
+      reason: policy.rate === 1
+        ? 'Order cancelled - full refund'
+        : 'Order cancelled - partial refund under the cancellation policy',
+      policy: { daysBeforeNeed: policy.daysBeforeNeed, rate: policy.rate },
+      requestedBy: cancelledBy
+    });
+    await applyRefundToOrder(order, refund);
+  }
+
+  await order.save();
+  await releaseOrderReservations(order._id);
+  await releaseCoupon(order);
+
+  return refund;
+};
+
+// Checkout fields taken from the request body. Anything else, such as a
+// `userId`, is ignored so a request cannot place an order on another account.
+const checkoutFields = ({
+  items,
+  shippingAddress,
+  paymentMethod,
+  rentalStartDate,
+  rentalEndDate,
+  needDate,
+  couponCode,
+  notes
+}) => ({
+  items,
+  shippingAddress,
+  paymentMethod,
+  rentalStartDate,
+  rentalEndDate,
+  needDate,
+  couponCode,
+  notes
+});
+
+// Find a guest order by its number and the shipping phone or email
+const findTrackedOrder = async ({ orderNumber, phone, email }) => {
+  const order = await Order.findOne({
+    orderNumber: orderNumber.trim().toUpperCase(),
+    isGuestOrder: true
+  }).populate('items.product', 'name slug images price');
+
+  return order && matchesContact(order, { phone, email }) ? order : null;
+};
+
+// The parts of an order a guest may see after proving they placed it
+const toTrackingView = (order) => ({
+  _id: order._id,
+  orderNumber: order.orderNumber,
+  orderStatus: order.orderStatus,
+  paymentStatus: order.paymentStatus,
+  paymentMethod: order.paymentMethod,
+  items: order.items.map(item => ({
+    product: item.product,
+    variant: item.variant,
+    color: item.color,
+    size: item.size,
+    quantity: item.quantity,
+    rentalDuration: item.rentalDuration,
+    price: item.price,
+    totalPrice: item.totalPrice
+  })),
+  rentalStartDate: order.rentalStartDate,
+  rentalEndDate: order.rentalEndDate,
+  needDate: order.needDate,
+  subtotal: order.subtotal,
+  discount: order.discount && order.discount.amount ? { code: order.discount.code, amount: order.discount.amount } : undefined,
+  shippingCost: order.shippingCost,
+  tax: order.tax,
+  lateFee: order.lateFee,
+  damageCharge: order.damageCharge,
+  totalAmount: order.totalAmount,
+  deposit: order.deposit ? { amount: order.deposit.amount, status: order.deposit.status } : undefined,
+  shippingAddress: {
+    name: order.shippingAddress.name,
+    city: order.shippingAddress.city,
+    state: order.shippingAddress.state
+  },
+  timeline: order.statusHistory.map(entry => ({
+    status: entry.status,
+    from: entry.from,
+    changedAt: entry.changedAt,
+    note: entry.note
+  })),
+  canCancel: order.canTransitionTo('Cancelled') && CUSTOMER_CANCELLABLE_STATUSES.includes(order.orderStatus),
+  createdAt: order.createdAt
+});
+
+// Validators shared by the guest tracking routes
+const trackingValidation = [
+  body('orderNumber').trim().notEmpty().withMessage('Order number is required'),
+  body('phone').optional().trim(),
+  body('email').optional().trim().isEmail().withMessage('Please provide a valid email'),
+  body().custom(value => {
+    if (!value.phone && !value.email) {
+      throw new Error('Shipping phone or email is required');
+    }
+    return true;
+  })
+];
+
 // @route   POST /api/orders
 // @desc    Create new order
 // @access  Private
 router.post('/', protect, [
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+  body('items.*.size').optional().isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size']).withMessage('Valid size is required'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('items.*.rentalDuration').isInt({ min: 1 }).withMessage('Rental duration must be at least 1 day'),
+  body('items.*.rentalDuration').optional().isInt({ min: 1 }).withMessage('Rental duration must be at least 1 day'),
   body('shippingAddress.name').notEmpty().withMessage('Shipping name is required'),
   body('shippingAddress.phone').notEmpty().withMessage('Shipping phone is required'),
+  body('shippingAddress.email').optional().isEmail().withMessage('Valid shipping email is required'),
   body('shippingAddress.street').notEmpty().withMessage('Shipping street is required'),
   body('shippingAddress.city').notEmpty().withMessage('Shipping city is required'),
   body('shippingAddress.state').notEmpty().withMessage('Shipping state is required'),
@@ -25,6 +171,7 @@ router.post('/', protect, [
   body('rentalStartDate').isISO8601().withMessage('Valid rental start date is required'),
   body('rentalEndDate').isISO8601().withMessage('Valid rental end date is required'),
   body('needDate').isISO8601().withMessage('Valid need date is required'),
+  body('couponCode').optional().isString().withMessage('Coupon code must be a string').trim(),
   body('notes').optional().trim()
 ], async (req, res) => {
   try {
@@ -37,104 +184,17 @@ router.post('/', protect, [
       });
     }
 
-    const {
-      items,
-      shippingAddress,
-      paymentMethod,
-      rentalStartDate,
-      rentalEndDate,
-      needDate,
-      notes
-    } = req.body;
-
-    // Validate rental dates
-    const startDate = new Date(rentalStartDate);
-    const endDate = new Date(rentalEndDate);
-    const needDateObj = new Date(needDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    if (startDate < today) {
-      return res.status(400).json({
-        success: false,
-        message: 'Rental start date cannot be in the past'
-      });
-    }
-
-    if (endDate <= startDate) {
-      return res.status(400).json({
+    const result = await placeOrder({ ...checkoutFields(req.body), userId: req.user.id });
+    if (!result.order) {
+      return res.status(result.status).json({
         success: false,
-        message: 'Rental end date must be after start date'
-      });
-    }
-
-    if (needDateObj < today) {
-      return res.status(400).json({
-        success: false,
-        message: 'Need date cannot be in the past'
-      });
-    }
-
-    // Always 1 day rental duration
-    const rentalDuration = 1;
-
-    // Validate and calculate order items
-    const orderItems = [];
-    let subtotal = 0;
-
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: `Product with ID ${item.product} not found`
-        });
-      }
-
-      if (!product.isAvailable) {
-        return res.status(400).json({
-          success: false,
-          message: `Product ${product.name} is not available`
-        });
-      }
-
-      // Always use 1 day rental duration
-      const itemTotal = product.price * item.quantity * 1;
-      subtotal += itemTotal;
-
-      orderItems.push({
-        product: product._id,
-        quantity: item.quantity,
-        rentalDuration: 1, // Always 1 day
-        price: product.price,
-        totalPrice: itemTotal
+        message: result.message,
+        data: result.data
       });
     }
 
-    // Calculate shipping and tax (you can customize these calculations)
-    const shippingCost = subtotal > 100 ? 0 : 10; // Free shipping over $100
-    const tax = subtotal * 0.08; // 8% tax
-    const totalAmount = subtotal + shippingCost + tax;
-
-    const order = new Order({
-      user: req.user.id,
-      items: orderItems,
-      shippingAddress,
-      paymentMethod,
-      rentalStartDate: startDate,
-      rentalEndDate: endDate,
-      needDate: needDateObj,
-      subtotal,
-      shippingCost,
-      tax,
-      totalAmount,
-      notes
-    });
-
-    await order.save();
-
     // Populate product details for response
-    const populatedOrder = await Order.findById(order._id)
+    const populatedOrder = await Order.findById(result.order._id)
       .populate('user', 'name email')
       .populate('items.product', 'name images price');
 
@@ -158,10 +218,13 @@ router.post('/', protect, [
 router.post('/guest', [
   body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
   body('items.*.product').isMongoId().withMessage('Valid product ID is required'),
+  body('items.*.variant').optional().isMongoId().withMessage('Valid variant ID is required'),
+  body('items.*.size').optional().isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size']).withMessage('Valid size is required'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
-  body('items.*.rentalDuration').isInt({ min: 1 }).withMessage('Rental duration must be at least 1 day'),
+  body('items.*.rentalDuration').optional().isInt({ min: 1 }).withMessage('Rental duration must be at least 1 day'),
   body('shippingAddress.name').notEmpty().withMessage('Shipping name is required'),
   body('shippingAddress.phone').notEmpty().withMessage('Shipping phone is required'),
+  body('shippingAddress.email').optional().isEmail().withMessage('Valid shipping email is required'),
   body('shippingAddress.street').notEmpty().withMessage('Shipping street is required'),
   body('shippingAddress.city').notEmpty().withMessage('Shipping city is required'),
   body('shippingAddress.state').notEmpty().withMessage('Shipping state is required'),
@@ -171,6 +234,7 @@ router.post('/guest', [
   body('rentalStartDate').isISO8601().withMessage('Valid rental start date is required'),
   body('rentalEndDate').isISO8601().withMessage('Valid rental end date is required'),
   body('needDate').isISO8601().withMessage('Valid need date is required'),
+  body('couponCode').optional().isString().withMessage('Coupon code must be a string').trim(),
   body('notes').optional().trim()
 ], async (req, res) => {
   try {
@@ -183,117 +247,117 @@ router.post('/guest', [
       });
     }
 
-    const {
-      items,
-      shippingAddress,
-      paymentMethod,
-      rentalStartDate,
-      rentalEndDate,
-      needDate,
-      notes
-    } = req.body;
+    const result = await placeOrder({ ...checkoutFields(req.body), userId: undefined });
+    if (!result.order) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        data: result.data
+      });
+    }
 
-    // Validate rental dates
-    const startDate = new Date(rentalStartDate);
-    const endDate = new Date(rentalEndDate);
-    const needDateObj = new Date(needDate);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Populate product details for response
+    const populatedOrder = await Order.findById(result.order._id)
+      .populate('items.product', 'name images price');
 
-    if (startDate < today) {
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: { order: populatedOrder }
+    });
+  } catch (error) {
+    console.error('Create guest order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating order'
+    });
+  }
+});
+
+// @route   POST /api/orders/track
+// @desc    Look up a guest order by order number and shipping phone or email
+// @access  Public (rate limited)
+router.post('/track', trackingLimiter, trackingValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Rental start date cannot be in the past'
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
 
-    if (endDate <= startDate) {
-      return res.status(400).json({
+    const order = await findTrackedOrder(req.body);
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: 'Rental end date must be after start date'
+        message: 'No order found with these details'
       });
     }
 
-    if (needDateObj < today) {
+    res.json({
+      success: true,
+      data: { order: toTrackingView(order) }
+    });
+  } catch (error) {
+    console.error('Track order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while tracking order'
+    });
+  }
+});
+
+// @route   POST /api/orders/track/cancel
+// @desc    Cancel a guest order found by order number and shipping phone or email
+// @access  Public (rate limited)
+router.post('/track/cancel', trackingLimiter, [
+  ...trackingValidation,
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Need date cannot be in the past'
+        message: 'Validation errors',
+        errors: errors.array()
       });
     }
 
-    // Always 1 day rental duration
-    const rentalDuration = 1;
-
-    // Validate and calculate order items
-    const orderItems = [];
-    let subtotal = 0;
-
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        return res.status(400).json({
-          success: false,
-          message: `Product with ID ${item.product} not found`
-        });
-      }
-
-      if (!product.isAvailable) {
-        return res.status(400).json({
-          success: false,
-          message: `Product ${product.name} is not available`
-        });
-      }
-
-      // Always use 1 day rental duration
-      const itemTotal = product.price * item.quantity * 1;
-      subtotal += itemTotal;
-
-      orderItems.push({
-        product: product._id,
-        quantity: item.quantity,
-        rentalDuration: 1, // Always 1 day
-        price: product.price,
-        totalPrice: itemTotal
+    const order = await findTrackedOrder(req.body);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'No order found with these details'
       });
     }
 
-    // Calculate shipping and tax (you can customize these calculations)
-    const shippingCost = subtotal > 100 ? 0 : 10; // Free shipping over $100
-    const tax = subtotal * 0.08; // 8% tax
-    const totalAmount = subtotal + shippingCost + tax;
-
-    const order = new Order({
-      user: null, // No user for guest orders
-      items: orderItems,
-      shippingAddress,
-      paymentMethod,
-      rentalStartDate: startDate,
-      rentalEndDate: endDate,
-      needDate: needDateObj,
-      subtotal,
-      shippingCost,
-      tax,
-      totalAmount,
-      notes,
-      isGuestOrder: true // Mark as guest order
-    });
-
-    await order.save();
+    // Same rules as a registered customer cancelling their own order
+    if (!order.canTransitionTo('Cancelled') || !CUSTOMER_CANCELLABLE_STATUSES.includes(order.orderStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order cannot be cancelled in its current status'
+      });
+    }
 
-    // Populate product details for response
-    const populatedOrder = await Order.findById(order._id)
-      .populate('items.product', 'name images price');
+    const note = req.body.reason ? `Cancelled by guest: ${req.body.reason}` : 'Cancelled by guest';
+    const refund = await cancelOrder(order, null, note);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: 'Order created successfully',
-      data: { order: populatedOrder }
+      message: 'Order cancelled successfully',
+      data: {
+        order: toTrackingView(order),
+        refund: refund ? { amount: refund.amount, status: refund.status } : null
+      }
     });
   } catch (error) {
-    console.error('Create guest order error:', error);
+    console.error('Guest cancel order error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while creating order'
+      message: 'Server error while cancelling order'
     });
   }
 });
@@ -348,6 +412,78 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/orders/claimable
+// @desc    Get guest orders placed with the user's email or phone
+// @access  Private
+router.get('/claimable', protect, async (req, res) => {
+  try {
+    const orders = await findClaimableOrders(req.user);
+
+    res.json({
+      success: true,
+      data: { orders: orders.map(toClaimSummary) }
+    });
+  } catch (error) {
+    console.error('Get claimable orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching claimable orders'
+    });
+  }
+});
+
+// @route   POST /api/orders/claim
+// @desc    Link confirmed guest orders to the user's account
+// @access  Private
+router.post('/claim', protect, [
+  body('orderIds').isArray({ min: 1 }).withMessage('At least one order is required'),
+  body('orderIds.*').isMongoId().withMessage('Valid order ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    // Only orders that still match the user's contact details can be claimed
+    const claimable = await findClaimableOrders(req.user);
+    const requested = req.body.orderIds.map(id => id.toString());
+    const orders = claimable.filter(order => requested.includes(order._id.toString()));
+
+    if (orders.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No matching guest orders found'
+      });
+    }
+
+    // Guard on user so an order claimed concurrently is not taken over
+    const result = await Order.updateMany(
+      { _id: { $in: orders.map(order => order._id) }, isGuestOrder: true, user: null },
+      { $set: { user: req.user._id, isGuestOrder: false, claimedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} order(s) linked to your account`,
+      data: {
+        claimed: orders.map(toClaimSummary),
+        skipped: requested.filter(id => !orders.some(order => order._id.toString() === id))
+      }
+    });
+  } catch (error) {
+    console.error('Claim orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while claiming orders'
+    });
+  }
+});
+
 // @route   GET /api/orders/stats/summary
 // @desc    Get order statistics (admin only)
 // @access  Private/Admin
@@ -358,13 +494,53 @@ router.get('/stats/summary', protect, admin, async (req, res) => {
     const completedOrders = await Order.countDocuments({ orderStatus: 'Delivered' });
     const cancelledOrders = await Order.countDocuments({ orderStatus: 'Cancelled' });
 
-    // Calculate total revenue
+    // Calculate total revenue (orders that were delivered or paid for)
     const revenueData = await Order.aggregate([
-      { $match: { orderStatus: { $in: ['Delivered', 'Paid'] } } },
+      {
+        $match: {
+          $or: [
+            { orderStatus: { $in: ['Delivered', 'Returned'] } },
+            { paymentStatus: { $in: ['Paid', 'Partially Refunded', 'Refunded'] } }
+          ]
+        }
+      },
       { $group: { _id: null, totalRevenue: { $sum: '$totalAmount' } } }
     ]);
 
-    const totalRevenue = revenueData.length > 0 ? revenueData[0].totalRevenue : 0;
+    const grossRevenue = revenueData.length > 0 ? revenueData[0].totalRevenue : 0;
+
+    // Rental charges given back to customers (deposit refunds are reported with deposits)
+    const refundData = await Refund.aggregate([
+      { $match: { status: 'Processed' } },
+      { $group: { _id: null, refunded: { $sum: '$rentalAmount' } } }
+    ]);
+
+    const refundedRevenue = refundData.length > 0 ? refundData[0].refunded : 0;
+    const totalRevenue = roundAmount(grossRevenue - refundedRevenue);
+
+    // Deposits are customer money held against damage, not rental revenue
+    const depositData = await Order.aggregate([
+      { $match: { 'deposit.collected': { $gt: 0 } } },
+      {
+        $project: {
+          collected: '$deposit.collected',
+          refunded: '$deposit.refunded',
+          deducted: { $sum: '$deposit.deductions.amount' }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          collected: { $sum: '$collected' },
+          refunded: { $sum: '$refunded' },
+          deducted: { $sum: '$deducted' }
+        }
+      }
+    ]);
+
+    const depositTotals = depositData.length > 0
+      ? depositData[0]
+      : { collected: 0, refunded: 0, deducted: 0 };
 
     // Get recent orders
     const recentOrders = await Order.find()
@@ -381,7 +557,15 @@ router.get('/stats/summary', protect, admin, async (req, res) => {
           pendingOrders,
           completedOrders,
           cancelledOrders,
-          totalRevenue
+          grossRevenue,
+          refundedRevenue,
+          totalRevenue,
+          deposits: {
+            collected: depositTotals.collected,
+            deducted: depositTotals.deducted,
+            refunded: depositTotals.refunded,
+            held: depositTotals.collected - depositTotals.deducted - depositTotals.refunded
+          }
         },
         recentOrders
       }
@@ -402,7 +586,8 @@ router.get('/:id', protect, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('user', 'name email phone address')
-      .populate('items.product', 'name images price originalPrice size color brand');
+      .populate('items.product', 'name images price originalPrice size color brand')
+      .populate('statusHistory.changedBy', 'name role');
 
     if (!order) {
       return res.status(404).json({
@@ -437,7 +622,7 @@ router.get('/:id', protect, async (req, res) => {
 // @access  Private/Admin
 router.put('/:id/status', protect, admin, [
   body('orderStatus').isIn(['Pending', 'Confirmed', 'Processing', 'Shipped', 'Delivered', 'Returned', 'Cancelled']).withMessage('Valid order status is required'),
-  body('paymentStatus').optional().isIn(['Pending', 'Paid', 'Failed', 'Refunded']).withMessage('Valid payment status is required'),
+  body('paymentStatus').optional().isIn(['Pending', 'Paid', 'Failed', 'Partially Refunded', 'Refunded']).withMessage('Valid payment status is required'),
   body('adminNotes').optional().trim()
 ], async (req, res) => {
   try {
@@ -460,12 +645,32 @@ router.put('/:id/status', protect, admin, [
       });
     }
 
-    // Update status
-    order.orderStatus = orderStatus;
+    const statusChanged = orderStatus !== order.orderStatus;
+
+    // Only allow moves along the order lifecycle
+    if (statusChanged && !order.canTransitionTo(orderStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change order status from ${order.orderStatus} to ${orderStatus}`,
+        data: { allowedStatuses: Order.STATUS_TRANSITIONS[order.orderStatus] }
+      });
+    }
+
     if (paymentStatus) order.paymentStatus = paymentStatus;
     if (adminNotes) order.adminNotes = adminNotes;
 
-    await order.save();
+    if (statusChanged && orderStatus === 'Cancelled') {
+      // Refund, release the units and give the coupon back like any other cancellation
+      await cancelOrder(order, req.user.id, adminNotes);
+    } else {
+      if (statusChanged) order.changeStatus(orderStatus, req.user.id, adminNotes);
+      await order.save();
+
+      // Returned orders keep their units through cleaning after the return
+      if (statusChanged && orderStatus === 'Returned') {
+        await completeOrderReservations(order._id);
+      }
+    }
 
     const updatedOrder = await Order.findById(order._id)
       .populate('user', 'name email')
@@ -506,21 +711,22 @@ router.put('/:id/cancel', protect, async (req, res) => {
       });
     }
 
-    // Check if order can be cancelled
-    const cancellableStatuses = ['Pending', 'Confirmed'];
-    if (!cancellableStatuses.includes(order.orderStatus)) {
+    // Check if order can be cancelled (customers only before processing starts)
+    if (!order.canTransitionTo('Cancelled') ||
+        (req.user.role !== 'admin' && !CUSTOMER_CANCELLABLE_STATUSES.includes(order.orderStatus))) {
       return res.status(400).json({
         success: false,
         message: 'Order cannot be cancelled in its current status'
       });
     }
 
-    order.orderStatus = 'Cancelled';
+    let note = 'Cancelled by customer';
     if (req.user.role === 'admin') {
       order.adminNotes = req.body.adminNotes || 'Order cancelled by admin';
+      note = order.adminNotes;
     }
 
-    await order.save();
+    const refund = await cancelOrder(order, req.user.id, note);
 
     const updatedOrder = await Order.findById(order._id)
       .populate('user', 'name email')
@@ -529,7 +735,7 @@ router.put('/:id/cancel', protect, async (req, res) => {
     res.json({
       success: true,
       message: 'Order cancelled successfully',
-      data: { order: updatedOrder }
+      data: { order: updatedOrder, refund }
     });
   } catch (error) {
     console.error('Cancel order error:', error);
@@ -540,4 +746,477 @@ router.put('/:id/cancel', protect, async (req, res) => {
   }
 });
 
+// @route   PUT /api/orders/:id/deposit/collect
+// @desc    Record the security deposit collected for an order (admin only)
+// @access  Private/Admin
+router.put('/:id/deposit/collect', protect, admin, [
+  body('amount').optional().isFloat({ min: 0 }).withMessage('Amount must be a positive number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.deposit.refunded > 0 || order.deposit.deductions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Deposit has already been settled'
+      });
+    }
+
+    // Defaults to the deposit computed at checkout
+    const amount = req.body.amount !== undefined ? parseFloat(req.body.amount) : order.deposit.amount;
+
+    order.deposit.collected = roundAmount(amount);
+    order.deposit.collectedAt = new Date();
+    order.updateDepositStatus();
+
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Deposit collection recorded successfully',
+      data: { deposit: order.deposit, balance: order.getDepositBalance() }
+    });
+  } catch (error) {
+    console.error('Collect deposit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording deposit'
+    });
+  }
+});
+
+// @route   PUT /api/orders/:id/deposit/deduct
+// @desc    Deduct damage charges from the held deposit (admin only)
+// @access  Private/Admin
+router.put('/:id/deposit/deduct', protect, admin, [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('reason').trim().notEmpty().withMessage('Reason for the deduction is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const amount = roundAmount(parseFloat(req.body.amount));
+    if (amount > order.getDepositBalance()) {
+      return res.status(400).json({
+        success: false,
+        message: `Deduction exceeds the deposit balance of ${order.getDepositBalance()}`
+      });
+    }
+
+    order.deposit.deductions.push({
+      amount,
+      reason: req.body.reason,
+      recordedBy: req.user.id
+    });
+    order.updateDepositStatus();
+
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Deposit deduction recorded successfully',
+      data: { deposit: order.deposit, balance: order.getDepositBalance() }
+    });
+  } catch (error) {
+    console.error('Deduct deposit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording deposit deduction'
+    });
+  }
+});
+
+// @route   PUT /api/orders/:id/deposit/refund
+// @desc    Record a deposit refund to the customer (admin only)
+// @access  Private/Admin
+router.put('/:id/deposit/refund', protect, admin, [
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const balance = order.getDepositBalance();
+    if (balance <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No deposit balance left to refund'
+      });
+    }
+
+    // Defaults to refunding whatever is still held
+    const amount = req.body.amount !== undefined ? roundAmount(parseFloat(req.body.amount)) : balance;
+    if (amount > balance) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund exceeds the deposit balance of ${balance}`
+      });
+    }
+
+    // Deposits paid online go back through the payment provider
+    const refund = await issueRefund(order, {
+      depositAmount: amount,
+      type: 'Deposit',
+      reason: req.body.reason || 'Security deposit refund',
+      requestedBy: req.user.id,
+      manual: true
+    });
+
+    if (refund.status === 'Failed') {
+      return res.status(502).json({
+        success: false,
+        message: 'Refund failed at the payment provider',
+        data: { refund }
+      });
+    }
+
+    await applyRefundToOrder(order, refund);
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Deposit refund recorded successfully',
+      data: { deposit: order.deposit, balance: order.getDepositBalance(), refund }
+    });
+  } catch (error) {
+    console.error('Refund deposit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording deposit refund'
+    });
+  }
+});
+
+// @route   POST /api/orders/:id/return
+// @desc    Record the return inspection and assess late fees and damage (admin only)
+// @access  Private/Admin
+router.post('/:id/return', protect, admin, [
+  body('returnedAt').optional().isISO8601().withMessage('Valid return date is required'),
+  body('lateDays').optional().isInt({ min: 0 }).withMessage('Late days must be a positive integer'),
+  body('items').isArray({ min: 1 }).withMessage('Condition of at least one item is required'),
+  body('items.*.item').isMongoId().withMessage('Valid order item ID is required'),
+  body('items.*.condition').isIn(['Excellent', 'Very Good', 'Good', 'Fair']).withMessage('Valid condition is required'),
+  body('items.*.photos').optional().isArray().withMessage('Photos must be an array'),
+  body('items.*.photos.*').isString().withMessage('Photos must be image data or URLs'),
+  body('items.*.damageCharge').optional().isFloat({ min: 0 }).withMessage('Damage charge must be a positive number'),
+  body('items.*.notes').optional().trim(),
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.canTransitionTo('Returned')) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only delivered orders can be returned'
+      });
+    }
+
+    const returnedAt = req.body.returnedAt ? new Date(req.body.returnedAt) : new Date();
+
+    // Days past the rental end date, unless the admin overrides it
+    const lateDays = req.body.lateDays !== undefined
+      ? parseInt(req.body.lateDays)
+      : Math.max(Math.round((startOfDay(returnedAt) - startOfDay(order.rentalEndDate)) / (24 * 60 * 60 * 1000)), 0);
+
+    // Check every entry before uploading photos or changing products
+    const seenItems = new Set();
+    for (const entry of req.body.items) {
+      if (!order.items.id(entry.item)) {
+        return res.status(400).json({
+          success: false,
+          message: `Item ${entry.item} is not part of this order`
+        });
+      }
+
+      if (seenItems.has(entry.item)) {
+        return res.status(400).json({
+          success: false,
+          message: `Item ${entry.item} is listed more than once`
+        });
+      }
+      seenItems.add(entry.item);
+    }
+
+    const inspectedItems = [];
+    let damageCharge = 0;
+
+    for (const entry of req.body.items) {
+      const orderItem = order.items.id(entry.item);
+
+      // Upload inspection photos to Cloudinary
+      const photos = [];
+      for (const photo of entry.photos || []) {
+        if (photo.startsWith('data:image')) {
+          const uploadResult = await uploadImage(photo, 'returns');
+          photos.push(uploadResult.url);
+        } else {
+          photos.push(photo);
+        }
+      }
+
+      // Keep the product's condition in line with what came back
+      const product = await Product.findById(orderItem.product);
+      const previousCondition = product ? product.condition : undefined;
+      if (product && product.condition !== entry.condition) {
+        product.condition = entry.condition;
+        await product.save();
+      }
+
+      const itemDamageCharge = roundAmount(parseFloat(entry.damageCharge || 0));
+      damageCharge += itemDamageCharge;
+
+      inspectedItems.push({
+        item: orderItem._id,
+        product: orderItem.product,
+        condition: entry.condition,
+        previousCondition,
+        photos,
+        damageCharge: itemDamageCharge,
+        notes: entry.notes
+      });
+    }
+
+    order.returnInspection = {
+      returnedAt,
+      inspectedBy: req.user.id,
+      lateDays,
+      items: inspectedItems,
+      notes: req.body.notes
+    };
+    order.lateFee = calculateLateFee(order, lateDays);
+    order.damageCharge = roundAmount(damageCharge);
+    order.totalAmount = roundAmount(order.calculateTotal());
+    order.changeStatus('Returned', req.user.id, req.body.notes);
+
+    await order.save();
+    await completeOrderReservations(order._id, returnedAt);
+
+    const updatedOrder = await Order.findById(order._id)
+      .populate('user', 'name email')
+      .populate('items.product', 'name images price condition');
+
+    res.json({
+      success: true,
+      message: 'Return recorded successfully',
+      data: { order: updatedOrder }
+    });
+  } catch (error) {
+    console.error('Record return error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording return'
+    });
+  }
+});
+
+// @route   GET /api/orders/:id/refunds
+// @desc    Get refunds issued for an order
+// @access  Private
+router.get('/:id/refunds', protect, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (req.user.role !== 'admin' && (!order.user || order.user.toString() !== req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const refunds = await Refund.find({ order: order._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { refunds }
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching refunds'
+    });
+  }
+});
+
+// @route   POST /api/orders/:id/refunds
+// @desc    Issue a manual refund of rental charges (admin only)
+// @access  Private/Admin
+router.post('/:id/refunds', protect, admin, [
+  body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+  body('reason').trim().notEmpty().withMessage('Reason for the refund is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Rental charges not yet refunded or waiting to be paid out
+    const refundable = roundAmount(order.totalAmount - await getRefundedRentalAmount(order));
+
+    const amount = roundAmount(parseFloat(req.body.amount));
+    if (amount > refundable) {
+      return res.status(400).json({
+        success: false,
+        message: `Refund exceeds the refundable amount of ${refundable}`
+      });
+    }
+
+    const refund = await issueRefund(order, {
+      rentalAmount: amount,
+      type: 'Manual',
+      reason: req.body.reason,
+      requestedBy: req.user.id
+    });
+
+    if (refund.status === 'Failed') {
+      return res.status(502).json({
+        success: false,
+        message: 'Refund failed at the payment provider',
+        data: { refund }
+      });
+    }
+
+    await applyRefundToOrder(order, refund);
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Refund created successfully',
+      data: { refund, paymentStatus: order.paymentStatus }
+    });
+  } catch (error) {
+    console.error('Create refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating refund'
+    });
+  }
+});
+
+// @route   PUT /api/orders/:id/refunds/:refundId/processed
+// @desc    Mark a manual refund as paid out (admin only)
+// @access  Private/Admin
+router.put('/:id/refunds/:refundId/processed', protect, admin, [
+  body('reference').optional().trim()
+], async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    const refund = await Refund.findOne({ _id: req.params.refundId, order: req.params.id });
+
+    if (!order || !refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    if (refund.status !== 'Pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Refund is already ${refund.status.toLowerCase()}`
+      });
+    }
+
+    refund.status = 'Processed';
+    refund.processedAt = new Date();
+    if (req.body.reference) refund.providerRefundId = req.body.reference;
+    await refund.save();
+
+    await applyRefundToOrder(order, refund);
+    await order.save();
+
+    res.json({
+      success: true,
+      message: 'Refund marked as processed',
+      data: { refund, paymentStatus: order.paymentStatus }
+    });
+  } catch (error) {
+    console.error('Process refund error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing refund'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,180 @@
+const express = require('express');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { optionalAuth } = require('../middleware/auth');
+const { getPaymentProvider } = require('../utils/payments');
+const { roundAmount } = require('../utils/pricing');
+const { getRefundedRentalAmount, issueRefund, applyRefundToOrder } = require('../utils/refunds');
+
+const router = express.Router();
+
+// @route   POST /api/payments/orders/:orderId/intent
+// @desc    Create a payment intent for an order
+// @access  Public (guest orders) / Private (own orders)
+router.post('/orders/:orderId/intent', optionalAuth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Registered users' orders can only be paid by their owner or an admin
+    if (order.user) {
+      const isOwner = req.user && order.user.toString() === req.user.id;
+      const isAdmin = req.user && req.user.role === 'admin';
+      if (!isOwner && !isAdmin) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+    }
+
+    if (order.paymentMethod === 'Cash on Delivery') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash on Delivery orders are paid on delivery'
+      });
+    }
+
+    if (order.paymentStatus === 'Paid' || order.paymentStatus === 'Refunded') {
+      return res.status(400).json({
+        success: false,
+        message: `Order payment is already ${order.paymentStatus.toLowerCase()}`
+      });
+    }
+
+    if (order.orderStatus === 'Cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancelled orders cannot be paid'
+      });
+    }
+
+    // The refundable deposit is collected together with the rental charges
+    const amount = roundAmount(order.totalAmount + (order.deposit ? order.deposit.amount : 0));
+    const provider = getPaymentProvider();
+
+    const intent = await provider.createPaymentIntent({
+      amount,
+      currency: 'INR',
+      receipt: order.orderNumber,
+      notes: { orderId: order._id.toString() }
+    });
+
+    await Payment.create({
+      order: order._id,
+      provider: provider.name,
+      intentId: intent.id,
+      amount,
+      currency: intent.currency
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment intent created successfully',
+      data: {
+        provider: provider.name,
+        intent
+      }
+    });
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating payment intent'
+    });
+  }
+});
+
+// @route   POST /api/payments/webhook
+// @desc    Receive signed payment events from the provider
+// @access  Public (signature verified)
+router.post('/webhook', async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+
+    if (!provider.verifyWebhook(req.rawBody, req.headers)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const event = provider.parseWebhookEvent(req.body, req.headers);
+
+    if (event.type === 'ignored' || !event.intentId) {
+      return res.json({ success: true, message: 'Event ignored' });
+    }
+
+    // Record the event atomically so a redelivered event is applied only once
+    const payment = await Payment.findOneAndUpdate(
+      { intentId: event.intentId, 'events.eventId': { $ne: event.eventId } },
+      { $push: { events: { eventId: event.eventId, type: event.type } } },
+      { new: true }
+    );
+
+    if (!payment) {
+      const exists = await Payment.exists({ intentId: event.intentId });
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payment not found'
+        });
+      }
+      return res.json({ success: true, message: 'Event already processed' });
+    }
+
+    const order = await Order.findById(payment.order);
+
+    if (event.type === 'paid') {
+      payment.status = 'Paid';
+      payment.providerPaymentId = event.paymentId;
+
+      if (order && order.paymentStatus !== 'Refunded') {
+        order.paymentStatus = 'Paid';
+
+        // Deposit was part of the charged amount
+        if (order.deposit && order.deposit.amount > 0 && order.deposit.collected === 0) {
+          order.deposit.collected = order.deposit.amount;
+          order.deposit.collectedAt = new Date();
+          order.deposit.status = 'Held';
+        }
+      }
+    } else if (event.type === 'failed' && payment.status !== 'Paid') {
+      // A late failure for one attempt must not undo another successful one
+      payment.status = 'Failed';
+      if (order && order.paymentStatus === 'Pending') {
+        order.paymentStatus = 'Failed';
+      }
+    }
+
+    await payment.save();
+    if (order) await order.save();
+
+    // Money for an order cancelled before it was paid is given straight back
+    if (event.type === 'paid' && order && order.orderStatus === 'Cancelled' && order.paymentStatus === 'Paid') {
+      const refund = await issueRefund(order, {
+        rentalAmount: Math.max(roundAmount(order.totalAmount - await getRefundedRentalAmount(order)), 0),
+        depositAmount: Math.max(order.getDepositBalance(), 0),
+        type: 'Cancellation',
+        reason: 'Payment received after the order was cancelled'
+      });
+      await applyRefundToOrder(order, refund);
+      await order.save();
+    }
+
+    res.json({ success: true, message: 'Event processed' });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing payment webhook'
+    });
+  }
+});
+
+module.exports = router;
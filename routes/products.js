@@ -2,11 +2,105 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const Review = require('../models/Review');
+const Reservation = require('../models/Reservation');
 const { protect, admin, optionalAuth } = require('../middleware/auth');
 const { uploadMultipleImages, deleteImage } = require('../config/cloudinary');
+const { startOfDay, addDays, formatDay, getAvailabilityCalendar, findFullyBookedProductIds } = require('../utils/availability');
+const { buildBaseFilter, buildFacetFilters, combineFilters, getFacetCounts, formatFacets } = require('../utils/productSearch');
+const { getSuggestions, invalidateSuggestionIndex } = require('../utils/suggestions');
+const { getAvailableVariants, findVariant } = require('../utils/variants');
 
 const router = express.Router();
 
+// Longest window the availability calendar will return
+const MAX_CALENDAR_DAYS = 180;
+
+// Most suggestions returned by the autocomplete endpoint
+const MAX_SUGGESTIONS = 20;
+
+// Product-level sizes and color are only required for products without variants
+const hasNoVariants = (value, { req }) => !Array.isArray(req.body.variants) || req.body.variants.length === 0;
+
+// Upload base64 images to Cloudinary, keeping URLs as they are
+const uploadProductImages = async (images) => {
+  const uploadedImages = [];
+  for (const image of images || []) {
+    if (image.startsWith('data:image')) {
+      const uploadResult = await uploadMultipleImages([image], 'products');
+      uploadedImages.push(uploadResult[0].url);
+    } else {
+      uploadedImages.push(image);
+    }
+  }
+  return uploadedImages;
+};
+
+// Upload the images of each variant
+const uploadVariantImages = async (variants) => {
+  const uploadedVariants = [];
+  for (const variant of variants || []) {
+    uploadedVariants.push({ ...variant, images: await uploadProductImages(variant.images) });
+  }
+  return uploadedVariants;
+};
+
+// Match the variants sent with an update to the product's current ones, by _id
+// or else by color, so they keep their IDs. Reservations, cart lines and
+// orders refer to variants by ID.
+const matchVariantIds = (product, variants) => {
+  const listedIds = variants.filter(variant => variant._id).map(variant => variant._id.toString());
+  const claimed = new Set(listedIds);
+
+  if (claimed.size !== listedIds.length) {
+    return { error: 'Each variant can only be listed once' };
+  }
+
+  const unknownId = listedIds.find(id => !findVariant(product, id));
+  if (unknownId) {
+    return { error: `Variant ${unknownId} does not belong to this product` };
+  }
+
+  return {
+    variants: variants.map(variant => {
+      if (variant._id) return variant;
+
+      const color = String(variant.color).trim().toLowerCase();
+      const existing = product.variants.find(v => !claimed.has(v._id.toString()) && v.color.toLowerCase() === color);
+      if (!existing) return variant;
+
+      claimed.add(existing._id.toString());
+      return { ...variant, _id: existing._id };
+    })
+  };
+};
+
+// Rental window asked for in a listing query: a single `needDate`, or `from`/`to`.
+// Returns null when no dates were given.
+const getRentalWindow = ({ needDate, from, to }) => {
+  if (!needDate && !from && !to) return null;
+
+  const start = new Date(needDate || from);
+  const end = new Date(needDate || to || from);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'Valid needDate or from/to dates are required' };
+  }
+
+  if (end < start) {
+    return { error: 'The to date must be on or after the from date' };
+  }
+
+  return { from: start, to: end };
+};
+
+// Categories a listing covers: the category itself, plus everything below it
+// when `includeDescendants=true`
+const getListingCategoryIds = async (categoryId, includeDescendants) => {
+  if (includeDescendants !== 'true') return [categoryId];
+  return [categoryId, ...(await Category.getDescendantIds(categoryId))];
+};
+
 // @route   GET /api/products
 // @desc    Get all products with filtering and pagination
 // @access  Public
@@ -23,17 +117,27 @@ router.get('/', optionalAuth, async (req, res) => {
       color,
       sort = 'createdAt',
       order = 'desc',
-      featured
+      featured,
+      includeDescendants
     } = req.query;
 
+    const rentalWindow = getRentalWindow(req.query);
+    if (rentalWindow && rentalWindow.error) {
+      return res.status(400).json({
+        success: false,
+        message: rentalWindow.error
+      });
+    }
+
     // Build filter object
     const filter = { isAvailable: true };
     
     if (category) {
       // Support both single category and multiple categories
+      const categoryIds = await getListingCategoryIds(category, includeDescendants);
       filter.$or = [
-        { category: category },
-        { categories: category }
+        { category: { $in: categoryIds } },
+        { categories: { $in: categoryIds } }
       ];
     }
     
@@ -47,18 +151,31 @@ router.get('/', optionalAuth, async (req, res) => {
       if (maxPrice) filter.price.$lte = parseFloat(maxPrice);
     }
     
+    // Sizes and colors may come from the product itself or any of its variants
+    const variantFilters = [];
+
     if (size) {
-      filter['sizes.size'] = size;
+      variantFilters.push({ $or: [{ 'sizes.size': size }, { 'variants.sizes.size': size }] });
     }
     
     if (color) {
-      filter.color = { $regex: color, $options: 'i' };
+      const colorMatch = { $regex: color, $options: 'i' };
+      variantFilters.push({ $or: [{ color: colorMatch }, { 'variants.color': colorMatch }] });
+    }
+
+    if (variantFilters.length > 0) {
+      filter.$and = variantFilters;
     }
     
     if (featured === 'true') {
       filter.isFeatured = true;
     }
 
+    // Leave out products booked out for the requested dates
+    if (rentalWindow) {
+      filter._id = { $nin: await findFullyBookedProductIds({ ...rentalWindow, size }) };
+    }
+
     // Build sort object
     const sortOptions = {};
     sortOptions[sort] = order === 'desc' ? -1 : 1;
@@ -102,8 +219,82 @@ router.get('/', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/products/search
+// @desc    Search products with facet counts; every facet accepts comma-separated values
+// @access  Public
+router.get('/search', async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 12,
+      sort = 'createdAt',
+      order = 'desc'
+    } = req.query;
+
+    const baseFilter = buildBaseFilter(req.query);
+    const facetFilters = buildFacetFilters(req.query);
+    const filter = { ...baseFilter, ...combineFilters(facetFilters) };
+
+    // Build sort object
+    const sortOptions = {};
+    sortOptions[sort] = order === 'desc' ? -1 : 1;
+
+    const products = await Product.find(filter)
+      .populate('category', 'name slug')
+      .populate('categories', 'name slug')
+      .sort(sortOptions)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Product.countDocuments(filter);
+    const facets = await formatFacets(await getFacetCounts(baseFilter, facetFilters), req.query);
+
+    res.json({
+      success: true,
+      data: {
+        products,
+        facets,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total,
+        hasNextPage: page * limit < total,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Search products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching products'
+    });
+  }
+});
+
+// @route   GET /api/products/suggest
+// @desc    Autocomplete products and categories, tolerating typos
+// @access  Public
+router.get('/suggest', async (req, res) => {
+  try {
+    const { q = '', limit = 8 } = req.query;
+
+    const suggestions = await getSuggestions(q, Math.min(Math.max(parseInt(limit) || 8, 1), MAX_SUGGESTIONS));
+
+    res.json({
+      success: true,
+      data: { suggestions }
+    });
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suggestions'
+    });
+  }
+});
+
 // @route   GET /api/products/slug/:slug
-// @desc    Get product by slug
+// @desc    Get product by slug, optionally preselecting a variant (?variant=ID or color)
 // @access  Public
 router.get('/slug/:slug', optionalAuth, async (req, res) => {
   try {
@@ -126,9 +317,16 @@ router.get('/slug/:slug', optionalAuth, async (req, res) => {
       await product.save();
     }
 
+    // Requested variant, falling back to the first one that can be rented
+    const variants = getAvailableVariants(product);
+    const requested = req.query.variant ? req.query.variant.toString().toLowerCase() : null;
+    const selectedVariant = (requested && variants.find(variant =>
+      variant._id.toString() === requested || variant.color.toLowerCase() === requested
+    )) || variants[0] || null;
+
     res.json({
       success: true,
-      data: { product }
+      data: { product, selectedVariant }
     });
   } catch (error) {
     console.error('Get product by slug error:', error);
@@ -144,18 +342,38 @@ router.get('/slug/:slug', optionalAuth, async (req, res) => {
 // @access  Public
 router.get('/category/:categoryId', optionalAuth, async (req, res) => {
   try {
-    const { page = 1, limit = 12, sort = 'createdAt', order = 'desc' } = req.query;
+    const { page = 1, limit = 12, sort = 'createdAt', order = 'desc', size, includeDescendants } = req.query;
+
+    const rentalWindow = getRentalWindow(req.query);
+    if (rentalWindow && rentalWindow.error) {
+      return res.status(400).json({
+        success: false,
+        message: rentalWindow.error
+      });
+    }
+
+    const categoryIds = await getListingCategoryIds(req.params.categoryId, includeDescendants);
+    const filter = {
+      $or: [
+        { category: { $in: categoryIds } },
+        { categories: { $in: categoryIds } }
+      ],
+      isAvailable: true
+    };
+
+    if (size) {
+      filter.$and = [{ $or: [{ 'sizes.size': size }, { 'variants.sizes.size': size }] }];
+    }
+
+    // Leave out products booked out for the requested dates
+    if (rentalWindow) {
+      filter._id = { $nin: await findFullyBookedProductIds({ ...rentalWindow, size }) };
+    }
     
     const sortOptions = {};
     sortOptions[sort] = order === 'desc' ? -1 : 1;
 
-    const products = await Product.find({ 
-      $or: [
-        { category: req.params.categoryId },
-        { categories: req.params.categoryId }
-      ],
-      isAvailable: true 
-    })
+    const products = await Product.find(filter)
       .populate('category', 'name slug')
       .populate('categories', 'name slug')
       .sort(sortOptions)
@@ -163,13 +381,7 @@ router.get('/category/:categoryId', optionalAuth, async (req, res) => {
       .skip((page - 1) * limit)
       .exec();
 
-    const total = await Product.countDocuments({ 
-      $or: [
-        { category: req.params.categoryId },
-        { categories: req.params.categoryId }
-      ],
-      isAvailable: true 
-    });
+    const total = await Product.countDocuments(filter);
 
     res.json({
       success: true,
@@ -189,6 +401,139 @@ router.get('/category/:categoryId', optionalAuth, async (req, res) => {
   }
 });
 
+// @route   GET /api/products/:id/availability
+// @desc    Get per-day availability calendar for a product
+// @access  Public
+router.get('/:id/availability', async (req, res) => {
+  try {
+    const from = req.query.from ? new Date(req.query.from) : startOfDay(new Date());
+    const to = req.query.to ? new Date(req.query.to) : addDays(from, 30);
+
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid from and to dates are required'
+      });
+    }
+
+    if (to < from) {
+      return res.status(400).json({
+        success: false,
+        message: 'The to date must not be before the from date'
+      });
+    }
+
+    if (to - from > MAX_CALENDAR_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        message: `Availability can be requested for at most ${MAX_CALENDAR_DAYS} days`
+      });
+    }
+
+    const product = await Product.findById(req.params.id);
+
+    if (!product || !product.isAvailable) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const variant = findVariant(product, req.query.variant);
+    if (req.query.variant && !variant) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    const calendar = await getAvailabilityCalendar(product, from, to, variant);
+
+    res.json({
+      success: true,
+      data: {
+        product: product._id,
+        variant: variant ? variant._id : null,
+        from: formatDay(startOfDay(from)),
+        to: formatDay(startOfDay(to)),
+        calendar
+      }
+    });
+  } catch (error) {
+    console.error('Get product availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching availability'
+    });
+  }
+});
+
+// @route   GET /api/products/:id/reviews
+// @desc    Get approved reviews for a product
+// @access  Public
+router.get('/:id/reviews', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sort = 'newest' } = req.query;
+
+    const product = await Product.findById(req.params.id).select('rating numReviews');
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const sortOptions = {
+      newest: { createdAt: -1 },
+      highest: { rating: -1, createdAt: -1 },
+      lowest: { rating: 1, createdAt: -1 }
+    };
+
+    const filter = { product: product._id, status: 'Approved' };
+
+    const reviews = await Review.find(filter)
+      .select('-moderatedBy -moderationNote')
+      .populate('user', 'name avatar')
+      .sort(sortOptions[sort] || sortOptions.newest)
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Review.countDocuments(filter);
+
+    // Number of approved reviews for each star rating
+    const counts = await Review.aggregate([
+      { $match: filter },
+      { $group: { _id: '$rating', count: { $sum: 1 } } }
+    ]);
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    counts.forEach(entry => {
+      distribution[entry._id] = entry.count;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        summary: {
+          rating: product.rating,
+          numReviews: product.numReviews,
+          distribution
+        },
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get product reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
 // @route   GET /api/products/:id
 // @desc    Get single product
 // @access  Public
@@ -242,12 +587,27 @@ router.post('/', protect, admin, [
   body('images').isArray({ min: 1 }).withMessage('At least one image is required'),
   body('price').isFloat({ min: 0 }).withMessage('Price must be a positive number'),
   body('originalPrice').isFloat({ min: 0 }).withMessage('Original price must be a positive number'),
-  body('sizes').isArray({ min: 1 }).withMessage('At least one size is required'),
+  body('sizes').if(hasNoVariants).isArray({ min: 1 }).withMessage('At least one size is required'),
   body('sizes.*.size').isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size']).withMessage('Valid size is required'),
   body('sizes.*.isAvailable').isBoolean().withMessage('Size availability must be boolean'),
   body('sizes.*.quantity').isInt({ min: 1 }).withMessage('Size quantity must be at least 1'),
-  body('color').notEmpty().withMessage('Color is required'),
+  body('color').if(hasNoVariants).notEmpty().withMessage('Color is required'),
+  body('variants').optional().isArray().withMessage('Variants must be an array'),
+  body('variants.*.color').notEmpty().withMessage('Variant color is required'),
+  body('variants.*.images').optional().isArray().withMessage('Variant images must be an array'),
+  body('variants.*.price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Variant price must be a positive number'),
+  body('variants.*.originalPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Variant original price must be a positive number'),
+  body('variants.*.sizes').optional().isArray().withMessage('Variant sizes must be an array'),
+  body('variants.*.sizes.*.size').isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size']).withMessage('Valid variant size is required'),
+  body('variants.*.sizes.*.quantity').optional().isInt({ min: 0 }).withMessage('Variant size quantity cannot be negative'),
+  body('variants.*.isAvailable').optional().isBoolean().withMessage('Variant availability must be boolean'),
   body('rentalDuration').isInt({ min: 1 }).withMessage('Rental duration must be at least 1 day'),
+  body('securityDeposit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Security deposit must be a positive number'),
+  body('bufferDays').optional({ nullable: true }).isInt({ min: 0, max: 30 }).withMessage('Buffer days must be between 0 and 30'),
+  body('extraDayPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Extra day price must be a positive number'),
+  body('pricingTiers').optional().isArray().withMessage('Pricing tiers must be an array'),
+  body('pricingTiers.*.days').optional().isInt({ min: 1 }).withMessage('Package days must be at least 1'),
+  body('pricingTiers.*.price').optional().isFloat({ min: 0 }).withMessage('Package price must be a positive number'),
   body('condition').optional().isIn(['Excellent', 'Very Good', 'Good', 'Fair']),
   body('brand').optional().trim(),
   body('material').optional().trim(),
@@ -274,7 +634,12 @@ router.post('/', protect, admin, [
       originalPrice,
       sizes,
       color,
+      variants,
       rentalDuration,
+      extraDayPrice,
+      pricingTiers,
+      securityDeposit,
+      bufferDays,
       condition,
       brand,
       material,
@@ -307,15 +672,7 @@ router.post('/', protect, admin, [
     }
 
     // Upload images to Cloudinary
-    const uploadedImages = [];
-    for (const image of images) {
-      if (image.startsWith('data:image')) {
-        const uploadResult = await uploadMultipleImages([image], 'products');
-        uploadedImages.push(uploadResult[0].url);
-      } else {
-        uploadedImages.push(image);
-      }
-    }
+    const uploadedImages = await uploadProductImages(images);
 
     const product = new Product({
       name,
@@ -326,7 +683,12 @@ router.post('/', protect, admin, [
       originalPrice,
       sizes,
       color,
+      variants: await uploadVariantImages(variants),
       rentalDuration,
+      extraDayPrice: extraDayPrice !== undefined ? extraDayPrice : null,
+      pricingTiers: pricingTiers || [],
+      securityDeposit: securityDeposit !== undefined ? securityDeposit : null,
+      bufferDays: bufferDays !== undefined ? bufferDays : null,
       condition: condition || 'Good',
       brand,
       material,
@@ -337,6 +699,7 @@ router.post('/', protect, admin, [
     });
 
     await product.save();
+    invalidateSuggestionIndex();
 
     const populatedProduct = await Product.findById(product._id)
       .populate('category', 'name slug')
@@ -388,7 +751,23 @@ router.put('/:id', protect, admin, [
   body('sizes.*.isAvailable').optional().isBoolean().withMessage('Size availability must be boolean'),
   body('sizes.*.quantity').optional().isInt({ min: 1 }).withMessage('Size quantity must be at least 1'),
   body('color').optional().notEmpty().withMessage('Color cannot be empty'),
+  body('variants').optional().isArray().withMessage('Variants must be an array'),
+  body('variants.*._id').optional().isMongoId().withMessage('Valid variant ID is required'),
+  body('variants.*.color').notEmpty().withMessage('Variant color is required'),
+  body('variants.*.images').optional().isArray().withMessage('Variant images must be an array'),
+  body('variants.*.price').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Variant price must be a positive number'),
+  body('variants.*.originalPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Variant original price must be a positive number'),
+  body('variants.*.sizes').optional().isArray().withMessage('Variant sizes must be an array'),
+  body('variants.*.sizes.*.size').isIn(['XS', 'S', 'M', 'L', 'XL', 'XXL', 'Free Size']).withMessage('Valid variant size is required'),
+  body('variants.*.sizes.*.quantity').optional().isInt({ min: 0 }).withMessage('Variant size quantity cannot be negative'),
+  body('variants.*.isAvailable').optional().isBoolean().withMessage('Variant availability must be boolean'),
   body('rentalDuration').optional().isInt({ min: 1 }).withMessage('Rental duration must be at least 1 day'),
+  body('securityDeposit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Security deposit must be a positive number'),
+  body('bufferDays').optional({ nullable: true }).isInt({ min: 0, max: 30 }).withMessage('Buffer days must be between 0 and 30'),
+  body('extraDayPrice').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Extra day price must be a positive number'),
+  body('pricingTiers').optional().isArray().withMessage('Pricing tiers must be an array'),
+  body('pricingTiers.*.days').optional().isInt({ min: 1 }).withMessage('Package days must be at least 1'),
+  body('pricingTiers.*.price').optional().isFloat({ min: 0 }).withMessage('Package price must be a positive number'),
   body('condition').optional().isIn(['Excellent', 'Very Good', 'Good', 'Fair']),
   body('isAvailable').optional().isBoolean(),
   body('isFeatured').optional().isBoolean()
@@ -437,16 +816,33 @@ router.put('/:id', protect, admin, [
 
     // Handle image uploads if provided
     if (req.body.images) {
-      const uploadedImages = [];
-      for (const image of req.body.images) {
-        if (image.startsWith('data:image')) {
-          const uploadResult = await uploadMultipleImages([image], 'products');
-          uploadedImages.push(uploadResult[0].url);
-        } else {
-          uploadedImages.push(image);
-        }
+      req.body.images = await uploadProductImages(req.body.images);
+    }
+
+    // Variants are replaced as a whole, keeping the IDs of those matched by _id or color
+    if (req.body.variants) {
+      const matched = matchVariantIds(product, req.body.variants);
+      if (matched.error) {
+        return res.status(400).json({
+          success: false,
+          message: matched.error
+        });
+      }
+
+      // Variants still holding bookings cannot be dropped
+      const keptIds = matched.variants.filter(variant => variant._id).map(variant => variant._id.toString());
+      const removedIds = product.variants
+        .filter(variant => !keptIds.includes(variant._id.toString()))
+        .map(variant => variant._id);
+
+      if (removedIds.length > 0 && await Reservation.exists({ product: product._id, variant: { $in: removedIds }, status: 'Active' })) {
+        return res.status(400).json({
+          success: false,
+          message: 'Variants with active bookings cannot be removed; mark them unavailable instead'
+        });
       }
-      req.body.images = uploadedImages;
+
+      req.body.variants = await uploadVariantImages(matched.variants);
     }
 
     // Update product
@@ -457,6 +853,8 @@ router.put('/:id', protect, admin, [
     ).populate('category', 'name slug')
      .populate('categories', 'name slug');
 
+    invalidateSuggestionIndex();
+
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -501,8 +899,9 @@ router.delete('/:id', protect, admin, async (req, res) => {
       });
     }
 
-    // Delete images from Cloudinary
-    for (const image of product.images) {
+    // Delete images from Cloudinary, including those of its variants
+    const variantImages = product.variants.flatMap(variant => variant.images);
+    for (const image of [...product.images, ...variantImages]) {
       if (image.includes('cloudinary')) {
         try {
           const publicId = image.split('/').pop().split('.')[0];
@@ -514,6 +913,7 @@ router.delete('/:id', protect, admin, async (req, res) => {
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    invalidateSuggestionIndex();
 
     res.json({
       success: true,
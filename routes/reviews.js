@@ -0,0 +1,365 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const { protect, admin } = require('../middleware/auth');
+const { uploadImage, deleteImage } = require('../config/cloudinary');
+
+const router = express.Router();
+
+// Most photos a single review may carry
+const MAX_REVIEW_PHOTOS = 5;
+
+// Cloudinary URL of an uploaded review photo; captures its public ID
+const REVIEW_PHOTO_URL = /\/upload\/(?:v\d+\/)?(reviews\/[^/]+)\.\w+$/;
+
+const isImageUpload = (photo) => photo.startsWith('data:image');
+
+// Photos must be new base64 uploads, or on edit, photos the review already has
+const hasForeignPhotos = (photos, existing = []) =>
+  (photos || []).some(photo => !isImageUpload(photo) && !existing.includes(photo));
+
+// Upload base64 photos to Cloudinary, keeping the review's existing URLs as they are
+const uploadPhotos = async (photos) => {
+  const urls = [];
+  for (const photo of photos || []) {
+    if (isImageUpload(photo)) {
+      const uploadResult = await uploadImage(photo, 'reviews');
+      urls.push(uploadResult.url);
+    } else {
+      urls.push(photo);
+    }
+  }
+  return urls;
+};
+
+// Delete photos the review uploaded to Cloudinary. URLs outside the reviews
+// folder, or also listed on another review, are left alone.
+const deletePhotos = async (review, photos) => {
+  for (const photo of photos) {
+    const match = photo.match(REVIEW_PHOTO_URL);
+    if (!match) continue;
+
+    const shared = await Review.exists({ _id: { $ne: review._id }, photos: photo });
+    if (shared) continue;
+
+    try {
+      await deleteImage(match[1]);
+    } catch (error) {
+      console.error('Error deleting image from Cloudinary:', error);
+    }
+  }
+};
+
+// @route   POST /api/reviews
+// @desc    Review a product the user has rented
+// @access  Private
+router.post('/', protect, [
+  body('product').isMongoId().withMessage('Valid product ID is required'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('title').optional().trim().isLength({ max: 100 }).withMessage('Title cannot be more than 100 characters'),
+  body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment cannot be more than 2000 characters'),
+  body('photos').optional().isArray({ max: MAX_REVIEW_PHOTOS }).withMessage(`At most ${MAX_REVIEW_PHOTOS} photos are allowed`),
+  body('photos.*').isString().withMessage('Each photo must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { product: productId, rating, title, comment, photos } = req.body;
+
+    if (hasForeignPhotos(photos)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Photos must be uploaded as base64 images'
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Only customers who actually received the product may review it
+    const order = await Order.findOne({
+      user: req.user._id,
+      orderStatus: { $in: ['Delivered', 'Returned'] },
+      'items.product': product._id
+    }).sort({ createdAt: -1 });
+
+    if (!order) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review products from your delivered or returned orders'
+      });
+    }
+
+    const existingReview = await Review.findOne({ product: product._id, user: req.user._id });
+    if (existingReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    const review = new Review({
+      product: product._id,
+      user: req.user._id,
+      order: order._id,
+      rating,
+      title,
+      comment,
+      photos: await uploadPhotos(photos)
+    });
+
+    await review.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Review submitted for moderation',
+      data: { review }
+    });
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating review'
+    });
+  }
+});
+
+// @route   GET /api/reviews/me
+// @desc    Get the current user's reviews
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const reviews = await Review.find({ user: req.user._id })
+      .populate('product', 'name slug images')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { reviews }
+    });
+  } catch (error) {
+    console.error('Get my reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// @route   GET /api/reviews
+// @desc    Get all reviews for moderation (admin only)
+// @access  Private/Admin
+router.get('/', protect, admin, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, product, rating } = req.query;
+
+    const filter = {};
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (product) {
+      filter.product = product;
+    }
+
+    if (rating) {
+      filter.rating = parseInt(rating);
+    }
+
+    const reviews = await Review.find(filter)
+      .populate('user', 'name email')
+      .populate('product', 'name slug')
+      .populate('moderatedBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Review.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id
+// @desc    Edit own review (goes back to moderation)
+// @access  Private
+router.put('/:id', protect, [
+  body('rating').optional().isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('title').optional().trim().isLength({ max: 100 }).withMessage('Title cannot be more than 100 characters'),
+  body('comment').optional().trim().isLength({ max: 2000 }).withMessage('Comment cannot be more than 2000 characters'),
+  body('photos').optional().isArray({ max: MAX_REVIEW_PHOTOS }).withMessage(`At most ${MAX_REVIEW_PHOTOS} photos are allowed`),
+  body('photos.*').isString().withMessage('Each photo must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    const { rating, title, comment, photos } = req.body;
+
+    if (rating !== undefined) review.rating = rating;
+    if (title !== undefined) review.title = title;
+    if (comment !== undefined) review.comment = comment;
+
+    if (hasForeignPhotos(photos, review.photos)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Photos must be uploaded as base64 images or already belong to this review'
+      });
+    }
+
+    if (photos !== undefined) {
+      const newPhotos = await uploadPhotos(photos);
+      await deletePhotos(review, review.photos.filter(photo => !newPhotos.includes(photo)));
+      review.photos = newPhotos;
+    }
+
+    review.status = 'Pending';
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Review updated and submitted for moderation',
+      data: { review }
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating review'
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id/moderate
+// @desc    Approve or hide a review (admin only)
+// @access  Private/Admin
+router.put('/:id/moderate', protect, admin, [
+  body('status').isIn(['Approved', 'Hidden']).withMessage('Status must be Approved or Hidden'),
+  body('note').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.status = req.body.status;
+    review.moderatedBy = req.user._id;
+    review.moderatedAt = new Date();
+    review.moderationNote = req.body.note;
+    await review.save();
+
+    res.json({
+      success: true,
+      message: `Review ${req.body.status.toLowerCase()} successfully`,
+      data: { review }
+    });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moderating review'
+    });
+  }
+});
+
+// @route   DELETE /api/reviews/:id
+// @desc    Delete a review (owner or admin)
+// @access  Private
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const review = await Review.findById(req.params.id);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() !== req.user.id && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    await deletePhotos(review, review.photos);
+    await review.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting review'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ShippingRule = require('../models/ShippingRule');
+const TaxRule = require('../models/TaxRule');
+const { protect, admin } = require('../middleware/auth');
+
+const router = express.Router();
+
+const shippingRuleFields = ['name', 'zipCodes', 'cities', 'cost', 'freeShippingThreshold', 'isDefault', 'priority', 'isActive'];
+const taxRuleFields = ['name', 'rate', 'states', 'categories', 'priority', 'isActive'];
+
+// Copy the allowed fields that were sent onto a rule
+const assignFields = (rule, source, fields) => {
+  fields.forEach(field => {
+    if (source[field] !== undefined) {
+      rule[field] = source[field];
+    }
+  });
+};
+
+// @route   GET /api/settings/shipping-rules
+// @desc    Get all shipping rules (admin only)
+// @access  Private/Admin
+router.get('/shipping-rules', protect, admin, async (req, res) => {
+  try {
+    const rules = await ShippingRule.find().sort({ priority: -1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    console.error('Get shipping rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching shipping rules'
+    });
+  }
+});
+
+// @route   POST /api/settings/shipping-rules
+// @desc    Create shipping rule (admin only)
+// @access  Private/Admin
+router.post('/shipping-rules', protect, admin, [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('zipCodes').optional().isArray().withMessage('Zip codes must be an array'),
+  body('cities').optional().isArray().withMessage('Cities must be an array'),
+  body('cost').isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
+  body('freeShippingThreshold').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Free shipping threshold must be a positive number'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rule = new ShippingRule();
+    assignFields(rule, req.body, shippingRuleFields);
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Shipping rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Create shipping rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating shipping rule'
+    });
+  }
+});
+
+// @route   PUT /api/settings/shipping-rules/:id
+// @desc    Update shipping rule (admin only)
+// @access  Private/Admin
+router.put('/shipping-rules/:id', protect, admin, [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('zipCodes').optional().isArray().withMessage('Zip codes must be an array'),
+  body('cities').optional().isArray().withMessage('Cities must be an array'),
+  body('cost').optional().isFloat({ min: 0 }).withMessage('Cost must be a positive number'),
+  body('freeShippingThreshold').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Free shipping threshold must be a positive number'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await ShippingRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping rule not found'
+      });
+    }
+
+    assignFields(rule, req.body, shippingRuleFields);
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Shipping rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Update shipping rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating shipping rule'
+    });
+  }
+});
+
+// @route   DELETE /api/settings/shipping-rules/:id
+// @desc    Delete shipping rule (admin only)
+// @access  Private/Admin
+router.delete('/shipping-rules/:id', protect, admin, async (req, res) => {
+  try {
+    const rule = await ShippingRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Shipping rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete shipping rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting shipping rule'
+    });
+  }
+});
+
+// @route   GET /api/settings/tax-rules
+// @desc    Get all tax rules (admin only)
+// @access  Private/Admin
+router.get('/tax-rules', protect, admin, async (req, res) => {
+  try {
+    const rules = await TaxRule.find()
+      .populate('categories', 'name slug')
+      .sort({ priority: -1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+  } catch (error) {
+    console.error('Get tax rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tax rules'
+    });
+  }
+});
+
+// @route   POST /api/settings/tax-rules
+// @desc    Create tax rule (admin only)
+// @access  Private/Admin
+router.post('/tax-rules', protect, admin, [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('rate').isFloat({ min: 0, max: 100 }).withMessage('Rate must be between 0 and 100'),
+  body('states').optional().isArray().withMessage('States must be an array'),
+  body('categories').optional().isArray().withMessage('Categories must be an array'),
+  body('categories.*').optional().isMongoId().withMessage('Valid category ID is required'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rule = new TaxRule();
+    assignFields(rule, req.body, taxRuleFields);
+    await rule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rule created successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Create tax rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating tax rule'
+    });
+  }
+});
+
+// @route   PUT /api/settings/tax-rules/:id
+// @desc    Update tax rule (admin only)
+// @access  Private/Admin
+router.put('/tax-rules/:id', protect, admin, [
+  body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Rate must be between 0 and 100'),
+  body('states').optional().isArray().withMessage('States must be an array'),
+  body('categories').optional().isArray().withMessage('Categories must be an array'),
+  body('categories.*').optional().isMongoId().withMessage('Valid category ID is required'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const rule = await TaxRule.findById(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    assignFields(rule, req.body, taxRuleFields);
+    await rule.save();
+
+    res.json({
+      success: true,
+      message: 'Tax rule updated successfully',
+      data: { rule }
+    });
+  } catch (error) {
+    console.error('Update tax rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating tax rule'
+    });
+  }
+});
+
+// @route   DELETE /api/settings/tax-rules/:id
+// @desc    Delete tax rule (admin only)
+// @access  Private/Admin
+router.delete('/tax-rules/:id', protect, admin, async (req, res) => {
+  try {
+    const rule = await TaxRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tax rule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tax rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting tax rule'
+    });
+  }
+});
+
+module.exports = router;
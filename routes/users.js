@@ -1,7 +1,11 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Product = require('../models/Product');
+const Session = require('../models/Session');
 const { protect, admin } = require('../middleware/auth');
+const { getAvailabilityCalendar } = require('../utils/availability');
+const { revokeUserSessions } = require('../utils/sessions');
 
 const router = express.Router();
 
@@ -99,6 +103,197 @@ router.get('/stats/summary', protect, admin, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/stats/wishlist
+// @desc    Get the most wishlisted products (admin only)
+// @access  Private/Admin
+router.get('/stats/wishlist', protect, admin, async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+
+    const wishlisted = await User.aggregate([
+      { $unwind: '$wishlist' },
+      {
+        $group: {
+          _id: '$wishlist.product',
+          count: { $sum: 1 },
+          lastAddedAt: { $max: '$wishlist.addedAt' }
+        }
+      },
+      { $sort: { count: -1, lastAddedAt: -1 } },
+      { $limit: limit * 1 },
+      {
+        $lookup: {
+          from: 'products',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'product'
+        }
+      },
+      { $unwind: '$product' },
+      {
+        $project: {
+          _id: 0,
+          count: 1,
+          lastAddedAt: 1,
+          'product._id': 1,
+          'product.name': 1,
+          'product.slug': 1,
+          'product.images': 1,
+          'product.price': 1,
+          'product.isAvailable': 1
+        }
+      }
+    ]);
+
+    const totalWishlistedItems = await User.aggregate([
+      { $project: { size: { $size: { $ifNull: ['$wishlist', []] } } } },
+      { $group: { _id: null, total: { $sum: '$size' } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        totalWishlistedItems: totalWishlistedItems.length > 0 ? totalWishlistedItems[0].total : 0,
+        mostWishlisted: wishlisted
+      }
+    });
+  } catch (error) {
+    console.error('Get wishlist stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wishlist statistics'
+    });
+  }
+});
+
+// @route   GET /api/users/me/wishlist
+// @desc    Get the current user's wishlist, optionally flagging items booked on ?date=
+// @access  Private
+router.get('/me/wishlist', protect, [
+  query('date').optional().isISO8601().withMessage('Valid date is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .populate('wishlist.product', 'name slug images price originalPrice sizes variants isAvailable');
+
+    const items = [];
+    for (const entry of user.wishlist) {
+      // Skip products that have been deleted
+      if (!entry.product) continue;
+
+      const item = {
+        product: entry.product,
+        addedAt: entry.addedAt,
+        isAvailable: entry.product.isAvailable
+      };
+
+      if (req.query.date) {
+        const [day] = await getAvailabilityCalendar(entry.product, req.query.date, req.query.date);
+        item.isBooked = !day.isAvailable;
+        item.isAvailable = item.isAvailable && !item.isBooked;
+      }
+
+      items.push(item);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        wishlist: items,
+        total: items.length
+      }
+    });
+  } catch (error) {
+    console.error('Get wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching wishlist'
+    });
+  }
+});
+
+// @route   POST /api/users/me/wishlist
+// @desc    Add a product to the current user's wishlist
+// @access  Private
+router.post('/me/wishlist', protect, [
+  body('product').isMongoId().withMessage('Valid product ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const product = await Product.findById(req.body.product);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    // Only add the product if it is not already there
+    await User.updateOne(
+      { _id: req.user._id, 'wishlist.product': { $ne: product._id } },
+      { $push: { wishlist: { product: product._id } } }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Product added to wishlist'
+    });
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding to wishlist'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/wishlist/:productId
+// @desc    Remove a product from the current user's wishlist
+// @access  Private
+router.delete('/me/wishlist/:productId', protect, async (req, res) => {
+  try {
+    const result = await User.updateOne(
+      { _id: req.user._id },
+      { $pull: { wishlist: { product: req.params.productId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not in wishlist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Product removed from wishlist'
+    });
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing from wishlist'
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get single user (admin only)
 // @access  Private/Admin
@@ -266,6 +461,11 @@ router.put('/:id/toggle-status', protect, admin, async (req, res) => {
     user.isActive = !user.isActive;
     await user.save();
 
+    // Deactivated users lose their sessions, so refresh tokens stop working too
+    if (!user.isActive) {
+      await revokeUserSessions(user._id, 'User deactivated');
+    }
+
     res.json({
       success: true,
       message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`,
@@ -280,4 +480,81 @@ router.put('/:id/toggle-status', protect, admin, async (req, res) => {
   }
 });
 
+// @route   GET /api/users/:id/sessions
+// @desc    Get a user's active sessions (admin only)
+// @access  Private/Admin
+router.get('/:id/sessions', protect, admin, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.params.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('-refreshTokenHash -previousRefreshTokenHash')
+      .sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/sessions/:sessionId
+// @desc    Revoke one of a user's sessions (admin only)
+// @access  Private/Admin
+router.delete('/:id/sessions/:sessionId', protect, admin, async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.sessionId, user: req.params.id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'Revoked by admin' }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/sessions
+// @desc    Revoke all of a user's sessions (admin only)
+// @access  Private/Admin
+router.delete('/:id/sessions', protect, admin, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.params.id, 'Revoked by admin');
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -17,6 +17,11 @@ const productRoutes = require('./routes/products');
 const orderRoutes = require('./routes/orders');
 const userRoutes = require('./routes/users');
 const uploadRoutes = require('./routes/upload');  
+const paymentRoutes = require('./routes/payments');
+const settingsRoutes = require('./routes/settings');
+const couponRoutes = require('./routes/coupons');
+const cartRoutes = require('./routes/cart');
+const reviewRoutes = require('./routes/reviews');
 
 // Middleware
 app.use(helmet({
@@ -41,7 +46,7 @@ app.use(cors({
   origin: true, // Allow all origins temporarily for debugging
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Origin', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Origin', 'Accept', 'X-Cart-Token']
 }));
 
 // Add CORS preflight handler
@@ -63,7 +68,15 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body of payment webhooks so their signatures can be verified
+  verify: (req, res, buf) => {
+    if (req.originalUrl.split('?')[0] === '/api/payments/webhook') {
+      req.rawBody = buf.toString();
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // MongoDB Connection
@@ -77,6 +90,11 @@ app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/reviews', reviewRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+
+// Minutes each kind of token stays valid
+const TOKEN_TTL_MINUTES = {
+  'email-verification': parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES || '1440', 10),
+  'password-reset': parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '30', 10)
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a new token for the user, replacing any unused one for the same purpose.
+// Returns the plain token to send to the user.
+const createAuthToken = async (userId, purpose) => {
+  await AuthToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await AuthToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MINUTES[purpose] * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Mark a valid token as used and return it, or null when it is unknown,
+// expired or already used. Done atomically so a token works only once.
+const consumeAuthToken = (token, purpose) => {
+  const now = new Date();
+
+  return AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true }
+  );
+};
+
+module.exports = {
+  TOKEN_TTL_MINUTES,
+  hashToken,
+  createAuthToken,
+  consumeAuthToken
+};
@@ -0,0 +1,331 @@
+const Reservation = require('../models/Reservation');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { getAvailableVariants } = require('./variants');
+
+// Longest cleaning turnaround a product or category can be given
+const MAX_BUFFER_DAYS = 30;
+
+// Normalize a date to local midnight so ranges compare by calendar day
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Format a day as YYYY-MM-DD without shifting it to UTC
+const formatDay = (date) => {
+  const year = date.getFullYear();
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+// List every calendar day between two dates (inclusive)
+const eachDay = (from, to) => {
+  const days = [];
+  for (let day = startOfDay(from); day <= to; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+};
+
+// Number of units of a product (or one of its variants) that can be out on rent at the same time
+const getCapacity = (product, size, variant) => {
+  // Products with variants hold their stock in the variants
+  if (!variant && product.variants && product.variants.length > 0) {
+    return getAvailableVariants(product).reduce((sum, v) => sum + getCapacity(product, size, v), 0);
+  }
+
+  const sizes = (variant || product).sizes || [];
+
+  if (size) {
+    const entry = sizes.find(s => s.size === size && s.isAvailable !== false);
+    return entry ? entry.quantity : 0;
+  }
+
+  // Products without size stock are treated as a single piece
+  if (sizes.length === 0) return 1;
+
+  return sizes
+    .filter(s => s.isAvailable !== false)
+    .reduce((sum, s) => sum + (s.quantity || 0), 0);
+};
+
+const hasOwnBufferDays = (product) => product.bufferDays !== null && product.bufferDays !== undefined;
+
+// Categories whose cleaning turnaround applies to a product
+const getBufferCategoryIds = (product) => {
+  return product.categories && product.categories.length > 0
+    ? product.categories
+    : [product.category].filter(Boolean);
+};
+
+// Cleaning turnaround for a product: its own setting, else the longest of its categories
+const getBufferDays = async (product) => {
+  if (hasOwnBufferDays(product)) {
+    return product.bufferDays;
+  }
+
+  const categoryIds = getBufferCategoryIds(product);
+
+  if (categoryIds.length === 0) return 0;
+
+  const categories = await Category.find({ _id: { $in: categoryIds } }).select('bufferDays').lean();
+  return categories.reduce((max, category) => Math.max(max, category.bufferDays || 0), 0);
+};
+
+// Size stock of a variant, or of the product; for products with variants and
+// no variant given, the stock of all available variants added up per size
+const getSizeStock = (product, variant) => {
+  if (variant || !product.variants || product.variants.length === 0) {
+    return ((variant || product).sizes || []).filter(s => s.isAvailable !== false);
+  }
+
+  const stock = [];
+  getAvailableVariants(product).forEach(v => {
+    (v.sizes || []).filter(s => s.isAvailable !== false).forEach(s => {
+      const entry = stock.find(e => e.size === s.size);
+      if (entry) {
+        entry.quantity += s.quantity;
+      } else {
+        stock.push({ size: s.size, quantity: s.quantity });
+      }
+    });
+  });
+  return stock;
+};
+
+// Work out which size an order item is rented in, validating it against the
+// product or the variant being rented
+const resolveItemSize = (product, size, variant) => {
+  const stockSizes = (variant || product).sizes;
+  const sizes = (stockSizes || []).filter(s => s.isAvailable !== false && s.quantity > 0);
+
+  // Products without size stock are booked as a whole
+  if (!stockSizes || stockSizes.length === 0) {
+    return { size: null };
+  }
+
+  if (!size) {
+    if (sizes.length === 1) return { size: sizes[0].size };
+    return { error: `Please select a size for ${product.name}` };
+  }
+
+  if (!sizes.some(s => s.size === size)) {
+    return { error: `Size ${size} is not available for ${product.name}` };
+  }
+
+  return { size };
+};
+
+// Find active reservations of a product whose blocked days overlap the given day range
+const findOverlapping = (productId, from, to, options = {}) => {
+  const filter = {
+    product: productId,
+    status: 'Active',
+    startDate: { $lte: to },
+    bufferEndDate: { $gte: from }
+  };
+
+  if (options.size) filter.size = options.size;
+  if (options.variant) filter.variant = options.variant;
+  if (options.excludeOrder) filter.order = { $ne: options.excludeOrder };
+
+  return Reservation.find(filter).lean();
+};
+
+// Units held by the given reservations on a single day (rental or cleaning)
+const bookedOn = (reservations, day) => {
+  return reservations
+    .filter(r => r.startDate <= day && r.bufferEndDate >= day)
+    .reduce((sum, r) => sum + r.quantity, 0);
+};
+
+// Most units held by the given reservations on any day of a range
+const peakBooked = (reservations, from, to) => {
+  let peak = 0;
+  for (const day of eachDay(from, to)) {
+    peak = Math.max(peak, bookedOn(reservations, day));
+  }
+  return peak;
+};
+
+// Units sitting in cleaning turnaround on a single day
+const cleaningOn = (reservations, day) => {
+  return reservations
+    .filter(r => r.endDate < day && r.bufferEndDate >= day)
+    .reduce((sum, r) => sum + r.quantity, 0);
+};
+
+// Check whether `quantity` units (of a variant, when given) are free for every
+// day of the rental window plus the cleaning buffer that has to follow it
+const checkAvailability = async (product, { variant, size, quantity = 1, startDate, endDate, bufferDays = 0, excludeOrder }) => {
+  const from = startOfDay(startDate);
+  const to = addDays(startOfDay(endDate), bufferDays);
+  const capacity = getCapacity(product, size, variant);
+  const reservations = await findOverlapping(product._id, from, to, {
+    size,
+    variant: variant ? variant._id : null,
+    excludeOrder
+  });
+
+  const remaining = Math.max(capacity - peakBooked(reservations, from, to), 0);
+
+  return {
+    available: remaining >= quantity,
+    capacity,
+    remaining
+  };
+};
+
+// IDs of products with no free unit (of `size`, when given) for a rental from
+// `from` to `to` plus its cleaning buffer. Only products holding reservations
+// around the window can be booked out, so only those are checked. Reservations,
+// products and categories are loaded once and the check runs in memory.
+const findFullyBookedProductIds = async ({ from, to, size }) => {
+  const start = startOfDay(from);
+  const end = startOfDay(to);
+  const filter = {
+    status: 'Active',
+    startDate: { $lte: addDays(end, MAX_BUFFER_DAYS) },
+    bufferEndDate: { $gte: start }
+  };
+
+  if (size) filter.size = size;
+
+  const reservations = await Reservation.find(filter).select('product quantity startDate bufferEndDate').lean();
+  if (reservations.length === 0) return [];
+
+  const reservationsByProduct = new Map();
+  reservations.forEach(reservation => {
+    const productId = reservation.product.toString();
+    if (!reservationsByProduct.has(productId)) reservationsByProduct.set(productId, []);
+    reservationsByProduct.get(productId).push(reservation);
+  });
+
+  const products = await Product.find({ _id: { $in: [...reservationsByProduct.keys()] } })
+    .select('sizes variants bufferDays category categories');
+
+  // Category turnarounds for the products that do not set their own
+  const categoryIds = products
+    .filter(product => !hasOwnBufferDays(product))
+    .flatMap(getBufferCategoryIds);
+  const categories = categoryIds.length > 0
+    ? await Category.find({ _id: { $in: categoryIds } }).select('bufferDays').lean()
+    : [];
+  const categoryBufferDays = new Map(categories.map(category => [category._id.toString(), category.bufferDays || 0]));
+
+  return products
+    .filter(product => {
+      const bufferDays = hasOwnBufferDays(product)
+        ? product.bufferDays
+        : getBufferCategoryIds(product).reduce((max, id) => Math.max(max, categoryBufferDays.get(id.toString()) || 0), 0);
+      const windowEnd = addDays(end, bufferDays);
+      const productReservations = reservationsByProduct.get(product._id.toString())
+        .filter(reservation => reservation.startDate <= windowEnd);
+
+      return getCapacity(product, size) - peakBooked(productReservations, start, windowEnd) < 1;
+    })
+    .map(product => product._id);
+};
+
+// Hold stock for every item of an order over its rental window.
+// `bufferDaysByProduct` maps product IDs to the cleaning days blocked after the rental.
+const reserveOrderItems = (order, bufferDaysByProduct = {}) => {
+  const endDate = startOfDay(order.rentalEndDate);
+  const reservations = order.items.map(item => ({
+    product: item.product,
+    variant: item.variant || null,
+    size: item.size || null,
+    order: order._id,
+    quantity: item.quantity,
+    startDate: startOfDay(order.rentalStartDate),
+    endDate,
+    bufferEndDate: addDays(endDate, bufferDaysByProduct[item.product.toString()] || 0)
+  }));
+
+  return Reservation.insertMany(reservations);
+};
+
+// Move the holds of a returned order to the actual return day. The units stay
+// blocked for the same cleaning turnaround counted from that day, so they
+// cannot be booked back-to-back while still being cleaned.
+const completeOrderReservations = async (orderId, returnedAt = new Date()) => {
+  const reservations = await Reservation.find({ order: orderId, status: 'Active' });
+  const returnDay = startOfDay(returnedAt);
+
+  for (const reservation of reservations) {
+    const bufferDays = Math.round((reservation.bufferEndDate - reservation.endDate) / (24 * 60 * 60 * 1000));
+    const endDate = returnDay < reservation.startDate ? reservation.startDate : returnDay;
+
+    reservation.endDate = endDate;
+    reservation.bufferEndDate = addDays(endDate, bufferDays);
+    await reservation.save();
+  }
+};
+
+// Remove the holds of an order that is being rolled back
+const deleteOrderReservations = (orderId) => {
+  return Reservation.deleteMany({ order: orderId });
+};
+
+// Free the stock held by an order
+const releaseOrderReservations = (orderId) => {
+  return Reservation.updateMany(
+    { order: orderId, status: 'Active' },
+    { status: 'Released', releasedAt: new Date() }
+  );
+};
+
+// Build a per-day calendar of booked and free units for a product, or one of its variants
+const getAvailabilityCalendar = async (product, from, to, variant) => {
+  const start = startOfDay(from);
+  const end = startOfDay(to);
+  const capacity = getCapacity(product, null, variant);
+  const sizes = getSizeStock(product, variant);
+  const reservations = await findOverlapping(product._id, start, end, { variant: variant ? variant._id : null });
+
+  return eachDay(start, end).map(day => {
+    const booked = bookedOn(reservations, day);
+
+    return {
+      date: formatDay(day),
+      booked,
+      cleaning: cleaningOn(reservations, day),
+      available: Math.max(capacity - booked, 0),
+      isAvailable: capacity - booked > 0,
+      sizes: sizes.map(s => {
+        const sizeBooked = bookedOn(reservations.filter(r => r.size === s.size), day);
+        return {
+          size: s.size,
+          booked: sizeBooked,
+          available: Math.max(s.quantity - sizeBooked, 0)
+        };
+      })
+    };
+  });
+};
+
+module.exports = {
+  startOfDay,
+  addDays,
+  formatDay,
+  eachDay,
+  getCapacity,
+  getBufferDays,
+  resolveItemSize,
+  checkAvailability,
+  findFullyBookedProductIds,
+  reserveOrderItems,
+  completeOrderReservations,
+  deleteOrderReservations,
+  releaseOrderReservations,
+  getAvailabilityCalendar
+};
@@ -0,0 +1,109 @@
+const ShippingRule = require('../models/ShippingRule');
+const TaxRule = require('../models/TaxRule');
+const { roundAmount } = require('./pricing');
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+// Zip codes match exactly, or by prefix when the rule ends with *
+const matchesZipCode = (rule, zipCode) => {
+  const zip = normalize(zipCode);
+  return rule.zipCodes.some(pattern => {
+    const value = normalize(pattern);
+    return value.endsWith('*') ? zip.startsWith(value.slice(0, -1)) : zip === value;
+  });
+};
+
+const matchesCity = (rule, city) => {
+  return rule.cities.some(value => normalize(value) === normalize(city));
+};
+
+// Pick the shipping rule for an address: the highest priority zone that lists
+// the zip code, then one that lists the city, then the default rule
+const findShippingRule = (rules, address) => {
+  return rules.find(rule => matchesZipCode(rule, address.zipCode)) ||
+    rules.find(rule => matchesCity(rule, address.city)) ||
+    rules.find(rule => rule.isDefault) ||
+    null;
+};
+
+// Pick the tax rule for one item. Rules naming both the state and one of the
+// item's categories win over rules naming only one of them, which win over
+// catch-all rules; ties go to the higher priority.
+const findTaxRule = (rules, state, categoryIds) => {
+  const categories = categoryIds.map(id => id.toString());
+
+  const candidates = rules
+    .filter(rule => rule.states.length === 0 || rule.states.some(s => normalize(s) === normalize(state)))
+    .filter(rule => rule.categories.length === 0 || rule.categories.some(c => categories.includes(c.toString())))
+    .map(rule => ({
+      rule,
+      specificity: (rule.states.length > 0 ? 1 : 0) + (rule.categories.length > 0 ? 1 : 0)
+    }));
+
+  candidates.sort((a, b) => b.specificity - a.specificity || b.rule.priority - a.rule.priority);
+  return candidates.length > 0 ? candidates[0].rule : null;
+};
+
+// Work out shipping and tax for an order.
+// `items` is a list of { categories, amount } for each order line.
+// Returns the totals plus a breakdown of which rules applied.
+const calculateCharges = async ({ items, shippingAddress, subtotal }) => {
+  const [shippingRules, taxRules] = await Promise.all([
+    ShippingRule.find({ isActive: true }).sort({ priority: -1, createdAt: 1 }).lean(),
+    TaxRule.find({ isActive: true }).sort({ priority: -1, createdAt: 1 }).lean()
+  ]);
+
+  // Shipping
+  const shippingRule = findShippingRule(shippingRules, shippingAddress);
+  let shippingCost = 0;
+  let freeShipping = false;
+
+  if (shippingRule) {
+    freeShipping = shippingRule.freeShippingThreshold !== null &&
+      shippingRule.freeShippingThreshold !== undefined &&
+      subtotal >= shippingRule.freeShippingThreshold;
+    shippingCost = freeShipping ? 0 : shippingRule.cost;
+  }
+
+  // Tax, grouped by the rule that applied to each item
+  const taxLines = {};
+
+  items.forEach(item => {
+    const rule = findTaxRule(taxRules, shippingAddress.state, item.categories || []);
+    if (!rule) return;
+
+    const key = rule._id.toString();
+    if (!taxLines[key]) {
+      taxLines[key] = { rule: rule._id, name: rule.name, rate: rule.rate, taxableAmount: 0, amount: 0 };
+    }
+    taxLines[key].taxableAmount += item.amount;
+  });
+
+  const taxBreakdown = Object.values(taxLines).map(line => ({
+    ...line,
+    taxableAmount: roundAmount(line.taxableAmount),
+    amount: roundAmount(line.taxableAmount * line.rate / 100)
+  }));
+
+  const tax = roundAmount(taxBreakdown.reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    shippingCost: roundAmount(shippingCost),
+    tax,
+    breakdown: {
+      shipping: {
+        rule: shippingRule ? shippingRule._id : null,
+        name: shippingRule ? shippingRule.name : null,
+        cost: roundAmount(shippingCost),
+        freeShipping
+      },
+      tax: taxBreakdown
+    }
+  };
+};
+
+module.exports = {
+  findShippingRule,
+  findTaxRule,
+  calculateCharges
+};
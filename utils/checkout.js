@@ -0,0 +1,252 @@
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const {
+  checkAvailability,
+  getBufferDays,
+  resolveItemSize,
+  reserveOrderItems,
+  deleteOrderReservations
+} = require('./availability');
+const { roundAmount, getRentalDays, calculateItemPrice, calculateDeposit } = require('./pricing');
+const { resolveItemVariant, applyVariant } = require('./variants');
+const { calculateCharges } = require('./charges');
+const { evaluateCoupon, redeemCoupon, releaseCoupon } = require('./coupons');
+
+// Validate, price and place an order for a registered user (`userId`) or a guest.
+// Returns { order } when the order was placed, or { status, message, data }
+// describing why it could not be.
+const placeOrder = async ({
+  userId,
+  items,
+  shippingAddress,
+  paymentMethod,
+  rentalStartDate,
+  rentalEndDate,
+  needDate,
+  couponCode,
+  notes
+}) => {
+  // Validate rental dates
+  const startDate = new Date(rentalStartDate);
+  const endDate = new Date(rentalEndDate);
+  const needDateObj = new Date(needDate);
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  if (startDate < today) {
+    return { status: 400, message: 'Rental start date cannot be in the past' };
+  }
+
+  if (endDate <= startDate) {
+    return { status: 400, message: 'Rental end date must be after start date' };
+  }
+
+  if (needDateObj < today) {
+    return { status: 400, message: 'Need date cannot be in the past' };
+  }
+
+  // Rental length is derived from the requested dates
+  const rentalDays = getRentalDays(startDate, endDate);
+
+  // Validate and calculate order items
+  const orderItems = [];
+  const requestedUnits = {};
+  const heldUnits = {};
+  const bufferDaysByProduct = {};
+  const chargeableItems = [];
+  let subtotal = 0;
+  let depositAmount = 0;
+
+  for (const item of items) {
+    const product = await Product.findById(item.product);
+    if (!product) {
+      return { status: 400, message: `Product with ID ${item.product} not found` };
+    }
+
+    if (!product.isAvailable) {
+      return { status: 400, message: `Product ${product.name} is not available` };
+    }
+
+    // Resolve the variant and size being rented
+    const variantResult = resolveItemVariant(product, item.variant);
+    if (variantResult.error) {
+      return { status: 400, message: variantResult.error };
+    }
+    const variant = variantResult.variant;
+
+    const sizeResult = resolveItemSize(product, item.size, variant);
+    if (sizeResult.error) {
+      return { status: 400, message: sizeResult.error };
+    }
+    const size = sizeResult.size;
+
+    // Make sure no other booking or cleaning turnaround holds this product, variant and size
+    const unitKey = `${product._id}:${variant ? variant._id : ''}:${size || ''}`;
+    requestedUnits[unitKey] = (requestedUnits[unitKey] || 0) + item.quantity;
+
+    const bufferDays = await getBufferDays(product);
+    bufferDaysByProduct[product._id.toString()] = bufferDays;
+
+    const availability = await checkAvailability(product, {
+      variant,
+      size,
+      quantity: requestedUnits[unitKey],
+      startDate,
+      endDate,
+      bufferDays
+    });
+
+    const itemName = variant ? `${product.name} (${variant.color})` : product.name;
+    heldUnits[unitKey] = { product, variant, size, bufferDays, itemName };
+
+    if (!availability.available) {
+      return {
+        status: 400,
+        message: size
+          ? `Only ${availability.remaining} of ${itemName} in size ${size} available for the selected dates`
+          : `Product ${itemName} is already booked for the selected dates`,
+        data: { remaining: availability.remaining }
+      };
+    }
+
+    // Variants may override the product's prices
+    const pricedProduct = applyVariant(product, variant);
+    const pricing = calculateItemPrice(pricedProduct, rentalDays, item.quantity);
+    const deposit = calculateDeposit(pricedProduct, item.quantity);
+    subtotal += pricing.totalPrice;
+    depositAmount += deposit;
+    chargeableItems.push({ product: product._id, categories: product.categories, amount: pricing.totalPrice });
+
+    orderItems.push({
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      color: variant ? variant.color : product.color,
+      size,
+      quantity: item.quantity,
+      rentalDuration: rentalDays,
+      price: pricing.unitPrice,
+      totalPrice: pricing.totalPrice,
+      deposit,
+      pricing: {
+        rentalDays: pricing.rentalDays,
+        baseDays: pricing.baseDays,
+        basePrice: pricing.basePrice,
+        extraDays: pricing.extraDays,
+        extraDayPrice: pricing.extraDayPrice,
+        extraCharge: pricing.extraCharge
+      }
+    });
+  }
+
+  // Apply the coupon, if any
+  let coupon = null;
+  if (couponCode) {
+    coupon = await evaluateCoupon(couponCode, {
+      items: chargeableItems,
+      subtotal,
+      userId,
+      guestPhone: userId ? undefined : shippingAddress.phone
+    });
+
+    if (!coupon.valid) {
+      return { status: 400, message: coupon.message };
+    }
+  }
+
+  const discountAmount = coupon ? coupon.amount : 0;
+  const discountedItems = chargeableItems.map((item, index) => ({
+    ...item,
+    amount: coupon ? item.amount - coupon.itemDiscounts[index] : item.amount
+  }));
+
+  // Calculate shipping and tax from the configured rules, on the discounted amounts
+  const charges = await calculateCharges({
+    items: discountedItems,
+    shippingAddress,
+    subtotal: subtotal - discountAmount
+  });
+  const shippingCost = charges.shippingCost;
+  const tax = charges.tax;
+  const totalAmount = roundAmount(subtotal - discountAmount + shippingCost + tax);
+
+  // Count the redemption last so a failed order does not use it up
+  if (coupon && !(await redeemCoupon(coupon.coupon))) {
+    return { status: 400, message: 'This coupon has reached its usage limit' };
+  }
+
+  const order = new Order({
+    user: userId || null, // No user for guest orders
+    items: orderItems,
+    shippingAddress,
+    paymentMethod,
+    rentalStartDate: startDate,
+    rentalEndDate: endDate,
+    needDate: needDateObj,
+    subtotal,
+    shippingCost,
+    tax,
+    discount: coupon ? {
+      coupon: coupon.coupon._id,
+      code: coupon.coupon.code,
+      discountType: coupon.coupon.discountType,
+      value: coupon.coupon.value,
+      amount: discountAmount
+    } : undefined,
+    chargesBreakdown: charges.breakdown,
+    totalAmount,
+    deposit: { amount: roundAmount(depositAmount) },
+    notes,
+    isGuestOrder: !userId
+  });
+
+  // An order that cannot be saved gives its coupon use back
+  try {
+    await order.save();
+  } catch (error) {
+    await releaseCoupon(order);
+    throw error;
+  }
+
+  // Drop the order again when its stock cannot be held, giving the coupon back
+  const rollBack = async () => {
+    await deleteOrderReservations(order._id);
+    await Order.deleteOne({ _id: order._id });
+    await releaseCoupon(order);
+  };
+
+  try {
+    await reserveOrderItems(order, bufferDaysByProduct);
+  } catch (error) {
+    await rollBack();
+    throw error;
+  }
+
+  // Another checkout may have booked the same units between the check above and
+  // the insert, so check again now that this order's hold is in place
+  for (const [unitKey, unit] of Object.entries(heldUnits)) {
+    const availability = await checkAvailability(unit.product, {
+      variant: unit.variant,
+      size: unit.size,
+      quantity: requestedUnits[unitKey],
+      startDate,
+      endDate,
+      bufferDays: unit.bufferDays,
+      excludeOrder: order._id
+    });
+
+    if (!availability.available) {
+      await rollBack();
+      return {
+        status: 400,
+        message: `${unit.itemName} was just booked by someone else for the selected dates`,
+        data: { remaining: availability.remaining }
+      };
+    }
+  }
+
+  return { order };
+};
+
+module.exports = {
+  placeOrder
+};
@@ -0,0 +1,129 @@
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const { roundAmount } = require('./pricing');
+const { normalizePhone, phonePattern } = require('./phone');
+
+// Whether an order line falls within the coupon's product/category scope
+const isEligible = (coupon, item) => {
+  if (coupon.products.length === 0 && coupon.categories.length === 0) return true;
+
+  const productId = item.product.toString();
+  const categoryIds = (item.categories || []).map(id => id.toString());
+
+  return coupon.products.some(id => id.toString() === productId) ||
+    coupon.categories.some(id => categoryIds.includes(id.toString()));
+};
+
+// Number of live orders that already used the coupon for this customer
+// (registered users by account, guests by the last 10 digits of the shipping phone)
+const countCustomerRedemptions = (coupon, { userId, guestPhone }) => {
+  const filter = {
+    'discount.coupon': coupon._id,
+    orderStatus: { $ne: 'Cancelled' }
+  };
+
+  if (userId) {
+    filter.user = userId;
+  } else {
+    filter.isGuestOrder = true;
+    filter['shippingAddress.phone'] = phonePattern(guestPhone);
+  }
+
+  return Order.countDocuments(filter);
+};
+
+// Check a coupon code against an order and work out the discount.
+// `items` is a list of { product, categories, amount } for each order line.
+// Returns { valid: false, message } or the discount with its split per item.
+const evaluateCoupon = async (code, { items, subtotal, userId, guestPhone, now = new Date() }) => {
+  const coupon = await Coupon.findOne({ code: code.toUpperCase().trim() });
+
+  if (!coupon || !coupon.isActive) {
+    return { valid: false, message: 'Invalid coupon code' };
+  }
+
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return { valid: false, message: 'This coupon is not active yet' };
+  }
+
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    return { valid: false, message: 'This coupon has expired' };
+  }
+
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return { valid: false, message: 'This coupon has reached its usage limit' };
+  }
+
+  if (subtotal < coupon.minSubtotal) {
+    return { valid: false, message: `A minimum order of ${coupon.minSubtotal} is required for this coupon` };
+  }
+
+  // A phone without digits would match every guest order, so it cannot be counted against
+  if (coupon.perUserLimit !== null && !userId && guestPhone && !normalizePhone(guestPhone)) {
+    return { valid: false, message: 'A valid phone number is required for this coupon' };
+  }
+
+  if (coupon.perUserLimit !== null && (userId || guestPhone)) {
+    const redemptions = await countCustomerRedemptions(coupon, { userId, guestPhone });
+    if (redemptions >= coupon.perUserLimit) {
+      return { valid: false, message: 'You have already used this coupon' };
+    }
+  }
+
+  const eligibleAmount = items
+    .filter(item => isEligible(coupon, item))
+    .reduce((sum, item) => sum + item.amount, 0);
+
+  if (eligibleAmount === 0) {
+    return { valid: false, message: 'This coupon does not apply to any item in your order' };
+  }
+
+  let amount = coupon.discountType === 'percentage'
+    ? eligibleAmount * coupon.value / 100
+    : coupon.value;
+
+  if (coupon.discountType === 'percentage' && coupon.maxDiscount !== null) {
+    amount = Math.min(amount, coupon.maxDiscount);
+  }
+  amount = roundAmount(Math.min(amount, eligibleAmount));
+
+  // Spread the discount over the eligible lines so tax is charged on what is paid
+  const itemDiscounts = items.map(item => (
+    isEligible(coupon, item) ? roundAmount(amount * item.amount / eligibleAmount) : 0
+  ));
+
+  return {
+    valid: true,
+    coupon,
+    amount,
+    eligibleAmount: roundAmount(eligibleAmount),
+    itemDiscounts
+  };
+};
+
+// Count a redemption, refusing it if the global limit was reached meanwhile
+const redeemCoupon = async (coupon) => {
+  const filter = { _id: coupon._id };
+  if (coupon.usageLimit !== null) {
+    filter.usedCount = { $lt: coupon.usageLimit };
+  }
+
+  const updated = await Coupon.findOneAndUpdate(filter, { $inc: { usedCount: 1 } });
+  return Boolean(updated);
+};
+
+// Give the redemption back when an order using the coupon is cancelled
+const releaseCoupon = (order) => {
+  if (!order.discount || !order.discount.coupon) return null;
+
+  return Coupon.updateOne(
+    { _id: order.discount.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
+
+module.exports = {
+  evaluateCoupon,
+  redeemCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,43 @@
+const { sendMail } = require('./mailer');
+const { TOKEN_TTL_MINUTES } = require('./authTokens');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Links in emails point at the storefront, which calls the API with the token
+const clientUrl = (path, token) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  return `${base}${path}?token=${encodeURIComponent(token)}`;
+};
+
+const sendVerificationEmail = (user, token) => {
+  const link = clientUrl('/verify-email', token);
+  const hours = Math.round(TOKEN_TTL_MINUTES['email-verification'] / 60);
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${hours} hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening this link:</p><p><a href="${link}">${link}</a></p><p>The link expires in ${hours} hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = clientUrl('/reset-password', token);
+  const minutes = TOKEN_TTL_MINUTES['password-reset'];
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open this link to choose a new one:\n${link}\n\nThe link expires in ${minutes} minutes. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Open this link to choose a new one:</p><p><a href="${link}">${link}</a></p><p>The link expires in ${minutes} minutes. If you did not ask for this, you can ignore this email.</p>`
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail
+};
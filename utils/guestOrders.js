@@ -0,0 +1,62 @@
+const Order = require('../models/Order');
+const { normalizePhone, phonePattern } = require('./phone');
+
+const normalizeEmail = (email) => (email || '').toString().trim().toLowerCase();
+
+// Whether the contact details match the order's shipping phone or email
+const matchesContact = (order, { phone, email }) => {
+  const address = order.shippingAddress || {};
+
+  if (phone && normalizePhone(phone).length > 0 && normalizePhone(phone) === normalizePhone(address.phone)) {
+    return true;
+  }
+
+  if (email && address.email && normalizeEmail(email) === normalizeEmail(address.email)) {
+    return true;
+  }
+
+  return false;
+};
+
+// Guest orders placed with the user's email or phone that are not linked yet.
+// Only verified contact details count, so nobody can claim orders by typing
+// someone else's email or phone into their profile.
+const findClaimableOrders = (user) => {
+  const contacts = [];
+
+  if (user.emailVerified && user.email) {
+    contacts.push({ 'shippingAddress.email': normalizeEmail(user.email) });
+  }
+
+  if (user.phoneVerified && normalizePhone(user.phone).length >= 10) {
+    contacts.push({ 'shippingAddress.phone': phonePattern(user.phone) });
+  }
+
+  if (contacts.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return Order.find({
+    isGuestOrder: true,
+    user: null,
+    $or: contacts
+  }).sort({ createdAt: -1 });
+};
+
+// Short description of a claimable order to show before linking it
+const toClaimSummary = (order) => ({
+  _id: order._id,
+  orderNumber: order.orderNumber,
+  orderStatus: order.orderStatus,
+  totalAmount: order.totalAmount,
+  itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+  rentalStartDate: order.rentalStartDate,
+  createdAt: order.createdAt
+});
+
+module.exports = {
+  normalizeEmail,
+  matchesContact,
+  findClaimableOrders,
+  toClaimSummary
+};
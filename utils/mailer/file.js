@@ -0,0 +1,26 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Local transport that writes each message as a JSON file to MAIL_FILE_DIR,
+// so mails survive restarts and can be opened by hand
+const mailDir = () => process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'clothing-rental-mail');
+
+const send = async (message) => {
+  const messageId = `file-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+  const dir = mailDir();
+
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(
+    path.join(dir, `${messageId}.json`),
+    JSON.stringify({ ...message, messageId, sentAt: new Date() }, null, 2)
+  );
+
+  return { messageId };
+};
+
+module.exports = {
+  name: 'file',
+  send
+};
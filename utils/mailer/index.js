@@ -0,0 +1,42 @@
+const smtp = require('./smtp');
+const memory = require('./memory');
+const file = require('./file');
+
+const transports = {
+  smtp,
+  memory,
+  file
+};
+
+// Environments where the memory transport is used when none is configured
+const MEMORY_TRANSPORT_ENVS = ['development', 'test'];
+
+// Transport selected through MAIL_TRANSPORT. Outside development and tests it
+// has to be set explicitly, so reset links are never just logged in production.
+const getMailer = (name = process.env.MAIL_TRANSPORT) => {
+  if (!name) {
+    if (!MEMORY_TRANSPORT_ENVS.includes(process.env.NODE_ENV)) {
+      throw new Error('MAIL_TRANSPORT is not configured');
+    }
+    name = 'memory';
+  }
+
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// Send a message from MAIL_FROM through the configured transport
+const sendMail = ({ to, subject, text, html }) => {
+  return getMailer().send({
+    from: process.env.MAIL_FROM || 'Clothing Rental <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = { getMailer, sendMail };
@@ -0,0 +1,24 @@
+const crypto = require('crypto');
+
+// Local transport for development and tests: messages are kept in memory
+// (most recent last) and logged instead of being delivered.
+const MAX_OUTBOX_SIZE = 100;
+const outbox = [];
+
+const send = async (message) => {
+  const messageId = `memory-${crypto.randomBytes(8).toString('hex')}`;
+
+  outbox.push({ ...message, messageId, sentAt: new Date() });
+  if (outbox.length > MAX_OUTBOX_SIZE) {
+    outbox.shift();
+  }
+
+  console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  return { messageId };
+};
+
+module.exports = {
+  name: 'memory',
+  outbox,
+  send
+};
@@ -0,0 +1,29 @@
+const nodemailer = require('nodemailer');
+
+// Sends mail through any SMTP server configured with SMTP_* variables
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+  return transporter;
+};
+
+const send = async ({ from, to, subject, text, html }) => {
+  const info = await getTransporter().sendMail({ from, to, subject, text, html });
+  return { messageId: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  send
+};
@@ -0,0 +1,66 @@
+const Counter = require('../models/Counter');
+
+const ORDER_NUMBER_PREFIX = process.env.ORDER_NUMBER_PREFIX || 'ORD';
+// "daily" numbers restart every day (ORD2601150001), "yearly" every year (ORD2026000001)
+const ORDER_NUMBER_SEQUENCE = process.env.ORDER_NUMBER_SEQUENCE === 'yearly' ? 'yearly' : 'daily';
+
+// Minimum digits of the sequence part; longer sequences just grow
+const SEQUENCE_DIGITS = { daily: 4, yearly: 6 };
+const PERIOD_DIGITS = { daily: 6, yearly: 4 };
+
+// Numbers generated before sequences were introduced: ORD + yymmdd + 3 random digits
+const LEGACY_ORDER_NUMBER = /^ORD\d{9}$/;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Date part of the number, in server local time
+const getPeriod = (date, sequence = ORDER_NUMBER_SEQUENCE) => {
+  if (sequence === 'yearly') {
+    return date.getFullYear().toString();
+  }
+
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}${month}${day}`;
+};
+
+const getCounterName = (period, prefix = ORDER_NUMBER_PREFIX, sequence = ORDER_NUMBER_SEQUENCE) => {
+  return `order:${prefix}:${sequence}:${period}`;
+};
+
+const formatOrderNumber = (period, seq, prefix = ORDER_NUMBER_PREFIX, sequence = ORDER_NUMBER_SEQUENCE) => {
+  return `${prefix}${period}${seq.toString().padStart(SEQUENCE_DIGITS[sequence], '0')}`;
+};
+
+// Split a number in the configured format into its period and sequence,
+// or return null when it does not follow that format
+const parseOrderNumber = (orderNumber, prefix = ORDER_NUMBER_PREFIX, sequence = ORDER_NUMBER_SEQUENCE) => {
+  const pattern = new RegExp(
+    `^${escapeRegex(prefix)}(\\d{${PERIOD_DIGITS[sequence]}})(\\d{${SEQUENCE_DIGITS[sequence]},})$`
+  );
+  const match = pattern.exec(orderNumber || '');
+  return match ? { period: match[1], seq: parseInt(match[2], 10) } : null;
+};
+
+const isValidOrderNumber = (orderNumber) => {
+  return parseOrderNumber(orderNumber) !== null || LEGACY_ORDER_NUMBER.test(orderNumber || '');
+};
+
+// Take the next number in the sequence for the order's date
+const generateOrderNumber = async (date = new Date()) => {
+  const period = getPeriod(date);
+  const seq = await Counter.next(getCounterName(period));
+  return formatOrderNumber(period, seq);
+};
+
+module.exports = {
+  ORDER_NUMBER_PREFIX,
+  ORDER_NUMBER_SEQUENCE,
+  getPeriod,
+  getCounterName,
+  formatOrderNumber,
+  parseOrderNumber,
+  isValidOrderNumber,
+  generateOrderNumber
+};
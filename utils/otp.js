@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const Otp = require('../models/Otp');
+const { normalizePhone } = require('./phone');
+const { sendSms } = require('./sms');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '5', 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+// Seconds before another code can be sent to the same phone
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS || '60', 10);
+// Codes that may be sent to the same phone within an hour
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR || '5', 10);
+
+const hashCode = (phone, code) => {
+  return crypto.createHash('sha256').update(`${phone}:${code}`).digest('hex');
+};
+
+const generateCode = () => {
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+};
+
+// Send a new code to the phone, replacing any unused one.
+// Returns { expiresAt } or { error, retryAfter } when the phone is throttled.
+const issueOtp = async (phoneNumber) => {
+  const phone = normalizePhone(phoneNumber);
+  const now = Date.now();
+
+  const latest = await Otp.findOne({ phone }).sort({ createdAt: -1 });
+  if (latest && now - latest.createdAt.getTime() < OTP_RESEND_SECONDS * 1000) {
+    return {
+      error: 'Please wait before requesting another code',
+      retryAfter: Math.ceil((latest.createdAt.getTime() + OTP_RESEND_SECONDS * 1000 - now) / 1000)
+    };
+  }
+
+  const sentLastHour = await Otp.countDocuments({ phone, createdAt: { $gt: new Date(now - 60 * 60 * 1000) } });
+  if (sentLastHour >= OTP_MAX_PER_HOUR) {
+    return {
+      error: 'Too many codes requested for this number, please try again later',
+      retryAfter: 60 * 60
+    };
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(now + OTP_TTL_MINUTES * 60 * 1000);
+
+  await Otp.updateMany({ phone, usedAt: null }, { expiresAt: new Date(now) });
+  const otp = await Otp.create({ phone, codeHash: hashCode(phone, code), expiresAt });
+
+  try {
+    await sendSms({
+      to: phoneNumber,
+      body: `Your verification code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`
+    });
+  } catch (error) {
+    // An undelivered code should not hold up the next request
+    await otp.deleteOne();
+    throw error;
+  }
+
+  return { expiresAt };
+};
+
+// Check a code against the phone's current OTP, counting the attempt.
+// Returns { otp } when the code matches or { error, attemptsLeft } otherwise.
+const verifyOtp = async (phoneNumber, code) => {
+  const phone = normalizePhone(phoneNumber);
+
+  const otp = await Otp.findOneAndUpdate(
+    { phone, usedAt: null, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true, sort: { createdAt: -1 } }
+  );
+
+  if (!otp) {
+    return { error: 'Code is invalid or has expired, please request a new one', attemptsLeft: 0 };
+  }
+
+  const expected = Buffer.from(otp.codeHash);
+  const received = Buffer.from(hashCode(phone, code));
+  if (!crypto.timingSafeEqual(expected, received)) {
+    return { error: 'Incorrect code', attemptsLeft: OTP_MAX_ATTEMPTS - otp.attempts };
+  }
+
+  return { otp };
+};
+
+// Mark a verified OTP as used; false when it was already used concurrently
+const consumeOtp = async (otp) => {
+  const result = await Otp.updateOne({ _id: otp._id, usedAt: null }, { usedAt: new Date() });
+  return result.modifiedCount === 1;
+};
+
+module.exports = {
+  OTP_TTL_MINUTES,
+  issueOtp,
+  verifyOtp,
+  consumeOtp
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { sign, verifySignature } = require('./signature');
+
+// Local provider for development and tests: intents are created in memory and
+// webhooks are signed with a shared secret, so no gateway account is needed.
+// There is no default secret; without one every webhook is rejected.
+const webhookSecret = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+
+const createPaymentIntent = async ({ amount, currency, receipt }) => {
+  const id = `fake_pi_${crypto.randomBytes(8).toString('hex')}`;
+
+  return {
+    id,
+    amount,
+    currency,
+    receipt,
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`
+  };
+};
+
+const createRefund = async ({ paymentId, amount }) => {
+  return {
+    id: `fake_rf_${crypto.randomBytes(8).toString('hex')}`,
+    paymentId,
+    amount,
+    status: 'processed'
+  };
+};
+
+const verifyWebhook = (rawBody, headers) => {
+  return verifySignature(rawBody, headers['x-fake-signature'], webhookSecret());
+};
+
+// Expected body: { id, type: 'payment.succeeded' | 'payment.failed', data: { intentId, paymentId } }
+const parseWebhookEvent = (body) => {
+  const data = body.data || {};
+  const types = {
+    'payment.succeeded': 'paid',
+    'payment.failed': 'failed'
+  };
+
+  return {
+    eventId: body.id,
+    type: types[body.type] || 'ignored',
+    intentId: data.intentId,
+    paymentId: data.paymentId
+  };
+};
+
+// Sign a webhook body the way the fake gateway would (handy in tests)
+const signWebhook = (rawBody) => {
+  if (!webhookSecret()) {
+    throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET is not configured');
+  }
+  return sign(rawBody, webhookSecret());
+};
+
+module.exports = {
+  name: 'fake',
+  createPaymentIntent,
+  createRefund,
+  verifyWebhook,
+  parseWebhookEvent,
+  signWebhook
+};
@@ -0,0 +1,29 @@
+const razorpay = require('./razorpay');
+const fake = require('./fake');
+
+const providers = {
+  razorpay,
+  fake
+};
+
+// Environments where the fake provider is used when none is configured
+const FAKE_PROVIDER_ENVS = ['development', 'test'];
+
+// Provider selected through PAYMENT_PROVIDER. Outside development and tests it
+// has to be set explicitly, so a missing setting never accepts fake payments.
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  if (!name) {
+    if (!FAKE_PROVIDER_ENVS.includes(process.env.NODE_ENV)) {
+      throw new Error('PAYMENT_PROVIDER is not configured');
+    }
+    name = 'fake';
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+};
+
+module.exports = { getPaymentProvider };
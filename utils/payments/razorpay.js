@@ -0,0 +1,88 @@
+const { verifySignature } = require('./signature');
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+// Basic auth header from the key pair
+const authHeader = () => {
+  const credentials = `${process.env.RAZORPAY_KEY_ID}:${process.env.RAZORPAY_KEY_SECRET}`;
+  return `Basic ${Buffer.from(credentials).toString('base64')}`;
+};
+
+const request = async (path, body) => {
+  const response = await fetch(`${API_URL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: authHeader()
+    },
+    body: JSON.stringify(body)
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    const description = data.error && data.error.description;
+    throw new Error(`Razorpay request failed: ${description || response.status}`);
+  }
+
+  return data;
+};
+
+// Razorpay calls the intent an "order"; amounts are in paise
+const createPaymentIntent = async ({ amount, currency, receipt, notes }) => {
+  const order = await request('/orders', {
+    amount: Math.round(amount * 100),
+    currency,
+    receipt,
+    notes
+  });
+
+  return {
+    id: order.id,
+    amount,
+    currency: order.currency,
+    receipt: order.receipt,
+    keyId: process.env.RAZORPAY_KEY_ID
+  };
+};
+
+const createRefund = async ({ paymentId, amount, notes }) => {
+  const refund = await request(`/payments/${paymentId}/refund`, {
+    amount: Math.round(amount * 100),
+    notes
+  });
+
+  return {
+    id: refund.id,
+    paymentId,
+    amount,
+    status: refund.status
+  };
+};
+
+const verifyWebhook = (rawBody, headers) => {
+  return verifySignature(rawBody, headers['x-razorpay-signature'], process.env.RAZORPAY_WEBHOOK_SECRET);
+};
+
+const parseWebhookEvent = (body, headers) => {
+  const payment = body.payload && body.payload.payment ? body.payload.payment.entity : {};
+  const types = {
+    'payment.captured': 'paid',
+    'order.paid': 'paid',
+    'payment.failed': 'failed'
+  };
+
+  return {
+    eventId: headers['x-razorpay-event-id'] || `${body.event}:${payment.id}`,
+    type: types[body.event] || 'ignored',
+    intentId: payment.order_id,
+    paymentId: payment.id
+  };
+};
+
+module.exports = {
+  name: 'razorpay',
+  createPaymentIntent,
+  createRefund,
+  verifyWebhook,
+  parseWebhookEvent
+};
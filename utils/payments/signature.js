@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 hex digest of a webhook payload
+const sign = (payload, secret) => {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+};
+
+// Compare a received signature with the expected one in constant time
+const verifySignature = (payload, signature, secret) => {
+  if (!payload || !signature || !secret) return false;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = { sign, verifySignature };
@@ -0,0 +1,15 @@
+// Compare phone numbers by their last 10 digits so "+91 98765-43210" and
+// "9876543210" are treated as the same number
+const normalizePhone = (phone) => (phone || '').toString().replace(/\D/g, '').slice(-10);
+
+// Regex matching any stored phone that ends with the same 10 digits,
+// whatever separators were typed between them
+const phonePattern = (phone) => {
+  const digits = normalizePhone(phone);
+  return new RegExp(`${digits.split('').join('\\D*')}\\D*$`);
+};
+
+module.exports = {
+  normalizePhone,
+  phonePattern
+};
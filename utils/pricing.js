@@ -0,0 +1,107 @@
+const { startOfDay } = require('./availability');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Share of the original price held as a refundable deposit when a product sets none
+const DEFAULT_DEPOSIT_RATE = parseFloat(process.env.DEPOSIT_RATE || '0.3');
+
+// Round money values to paise
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Number of rental days between the start and end dates (at least 1)
+const getRentalDays = (startDate, endDate) => {
+  const days = Math.round((startOfDay(endDate) - startOfDay(startDate)) / DAY_MS);
+  return Math.max(days, 1);
+};
+
+// Price packages for a product, shortest first. The product's own price always
+// covers its base `rentalDuration`; `pricingTiers` add longer packages.
+const getPriceTiers = (product) => {
+  const tiers = [{ days: product.rentalDuration || 1, price: product.price }];
+
+  (product.pricingTiers || []).forEach(tier => {
+    tiers.push({ days: tier.days, price: tier.price });
+  });
+
+  return tiers.sort((a, b) => a.days - b.days);
+};
+
+// Charge for each day beyond a package: the product's extra-day price, or the
+// base price spread over the base duration when none is set
+const getExtraDayPrice = (product) => {
+  if (product.extraDayPrice !== null && product.extraDayPrice !== undefined) {
+    return product.extraDayPrice;
+  }
+  return roundAmount(product.price / (product.rentalDuration || 1));
+};
+
+// Work out the price of renting one unit of a product for `rentalDays` days.
+// Each package is priced as its own price plus the days it does not cover at the
+// extra-day rate, and the cheapest one wins. Rentals shorter than the base
+// duration pay the base price.
+const calculateItemPrice = (product, rentalDays, quantity = 1) => {
+  const extraDayPrice = getExtraDayPrice(product);
+
+  const options = getPriceTiers(product).map(tier => {
+    const extraDays = Math.max(rentalDays - tier.days, 0);
+    const extraCharge = roundAmount(extraDays * extraDayPrice);
+    return {
+      baseDays: tier.days,
+      basePrice: tier.price,
+      extraDays,
+      extraCharge,
+      unitPrice: roundAmount(tier.price + extraCharge)
+    };
+  });
+
+  const best = options.reduce((cheapest, option) => (
+    option.unitPrice < cheapest.unitPrice ? option : cheapest
+  ));
+
+  return {
+    rentalDays,
+    baseDays: best.baseDays,
+    basePrice: best.basePrice,
+    extraDays: best.extraDays,
+    extraDayPrice,
+    extraCharge: best.extraCharge,
+    unitPrice: best.unitPrice,
+    totalPrice: roundAmount(best.unitPrice * quantity)
+  };
+};
+
+// Multiplier applied to the daily rate for every day a rental comes back late
+const LATE_FEE_MULTIPLIER = parseFloat(process.env.LATE_FEE_MULTIPLIER || '1.5');
+
+// Late fee for an order returned `lateDays` days after its rental end date.
+// Each item is charged its daily rate times the multiplier for every late day.
+const calculateLateFee = (order, lateDays) => {
+  if (lateDays <= 0) return 0;
+
+  const fee = order.items.reduce((sum, item) => {
+    const dailyRate = item.pricing && item.pricing.extraDayPrice
+      ? item.pricing.extraDayPrice
+      : item.price / (item.rentalDuration || 1);
+    return sum + dailyRate * item.quantity * lateDays * LATE_FEE_MULTIPLIER;
+  }, 0);
+
+  return roundAmount(fee);
+};
+
+// Refundable security deposit for renting `quantity` units of a product
+const calculateDeposit = (product, quantity = 1) => {
+  const unitDeposit = product.securityDeposit !== null && product.securityDeposit !== undefined
+    ? product.securityDeposit
+    : (product.originalPrice || 0) * DEFAULT_DEPOSIT_RATE;
+
+  return roundAmount(unitDeposit * quantity);
+};
+
+module.exports = {
+  roundAmount,
+  getRentalDays,
+  getPriceTiers,
+  calculateItemPrice,
+  calculateDeposit,
+  calculateLateFee
+};
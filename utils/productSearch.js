@@ -0,0 +1,253 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+
+// Price buckets offered as a facet, as [min, max) pairs; the last one is open ended
+const PRICE_RANGES = [
+  [0, 500],
+  [500, 1000],
+  [1000, 2000],
+  [2000, 5000],
+  [5000, null]
+];
+
+const priceRangeLabel = ([min, max]) => (max === null ? `${min}+` : `${min}-${max}`);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a multi-select query value ("M,L" or ?size=M&size=L) into its values
+const parseList = (value) => {
+  if (value === undefined || value === null) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap(v => v.toString().split(','))
+    .map(v => v.trim())
+    .filter(Boolean);
+};
+
+// Case-insensitive exact match on any of the values
+const anyOf = (values) => ({ $in: values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i')) });
+
+// Filters for each facet selected in the query. Values within a facet are
+// OR-ed, facets are AND-ed. Built for aggregation, so IDs are cast here.
+const buildFacetFilters = (query) => {
+  const filters = {};
+
+  const categories = parseList(query.category)
+    .filter(id => mongoose.Types.ObjectId.isValid(id))
+    .map(id => new mongoose.Types.ObjectId(id));
+  if (categories.length > 0) {
+    filters.category = { $or: [{ category: { $in: categories } }, { categories: { $in: categories } }] };
+  }
+
+  // Sizes and colors match the product itself or any available variant
+  const sizes = parseList(query.size);
+  if (sizes.length > 0) {
+    const sizeMatch = { $elemMatch: { size: { $in: sizes }, isAvailable: { $ne: false } } };
+    filters.size = {
+      $or: [
+        { sizes: sizeMatch },
+        { variants: { $elemMatch: { isAvailable: { $ne: false }, sizes: sizeMatch } } }
+      ]
+    };
+  }
+
+  const colors = parseList(query.color);
+  if (colors.length > 0) {
+    filters.color = {
+      $or: [
+        { color: anyOf(colors) },
+        { variants: { $elemMatch: { isAvailable: { $ne: false }, color: anyOf(colors) } } }
+      ]
+    };
+  }
+
+  ['brand', 'material', 'condition'].forEach(field => {
+    const values = parseList(query[field]);
+    if (values.length > 0) {
+      filters[field] = { [field]: anyOf(values) };
+    }
+  });
+
+  const ranges = parseList(query.price)
+    .map(label => PRICE_RANGES.find(range => priceRangeLabel(range) === label))
+    .filter(Boolean);
+  if (ranges.length > 0) {
+    filters.price = {
+      $or: ranges.map(([min, max]) => ({ price: max === null ? { $gte: min } : { $gte: min, $lt: max } }))
+    };
+  }
+
+  return filters;
+};
+
+// Filters that are not facets: availability, text search, featured and price limits
+const buildBaseFilter = (query) => {
+  const filter = { isAvailable: true };
+
+  if (query.search) {
+    filter.$text = { $search: query.search };
+  }
+
+  if (query.featured === 'true') {
+    filter.isFeatured = true;
+  }
+
+  if (query.minPrice || query.maxPrice) {
+    filter.price = {};
+    if (query.minPrice) filter.price.$gte = parseFloat(query.minPrice);
+    if (query.maxPrice) filter.price.$lte = parseFloat(query.maxPrice);
+  }
+
+  return filter;
+};
+
+// Combine facet filters, leaving out one facet so its own buckets still show
+// the other values that could be added to the selection
+const combineFilters = (filters, exceptFacet) => {
+  const conditions = Object.keys(filters)
+    .filter(name => name !== exceptFacet)
+    .map(name => filters[name]);
+  return conditions.length > 0 ? { $and: conditions } : {};
+};
+
+const countBy = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// Expression for the available entries of an array field
+const availableIn = (input, as) => ({
+  $filter: { input: { $ifNull: [input, []] }, as, cond: { $ne: [`$$${as}.isAvailable`, false] } }
+});
+
+// Count products per value of a field found on the product or its available
+// variants, counting each product once per value
+const countWithVariants = (values) => [
+  { $project: { values: { $setUnion: values } } },
+  { $unwind: '$values' },
+  { $match: { values: { $nin: [null, ''] } } },
+  { $group: { _id: '$values', count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } }
+];
+
+// Count matching products per facet value, each facet ignoring its own selection
+const getFacetCounts = async (baseFilter, facetFilters) => {
+  const pipeline = (facet, stages) => [{ $match: combineFilters(facetFilters, facet) }, ...stages];
+
+  const [result] = await Product.aggregate([
+    { $match: baseFilter },
+    {
+      $facet: {
+        // Products with only the legacy `category` field count under that one
+        categories: pipeline('category', [
+          {
+            $project: {
+              categoryIds: {
+                $cond: [
+                  { $gt: [{ $size: { $ifNull: ['$categories', []] } }, 0] },
+                  '$categories',
+                  { $cond: [{ $ifNull: ['$category', false] }, ['$category'], []] }
+                ]
+              }
+            }
+          },
+          { $unwind: '$categoryIds' },
+          { $group: { _id: '$categoryIds', count: { $sum: 1 } } },
+          { $sort: { count: -1 } }
+        ]),
+        sizes: pipeline('size', countWithVariants([
+          { $map: { input: availableIn('$sizes', 'size'), as: 'size', in: '$$size.size' } },
+          {
+            $reduce: {
+              input: availableIn('$variants', 'variant'),
+              initialValue: [],
+              in: {
+                $concatArrays: ['$$value', {
+                  $map: { input: availableIn('$$this.sizes', 'size'), as: 'size', in: '$$size.size' }
+                }]
+              }
+            }
+          }
+        ])),
+        colors: pipeline('color', countWithVariants([
+          ['$color'],
+          { $map: { input: availableIn('$variants', 'variant'), as: 'variant', in: '$$variant.color' } }
+        ])),
+        brands: pipeline('brand', countBy('brand')),
+        materials: pipeline('material', countBy('material')),
+        conditions: pipeline('condition', countBy('condition')),
+        price: pipeline('price', [
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_RANGES.map(([min]) => min),
+              default: 'open',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ])
+      }
+    }
+  ]);
+
+  return result;
+};
+
+// Turn raw facet counts into buckets, marking the values selected in the query
+const formatFacets = async (counts, query) => {
+  const selected = (param, value) => parseList(query[param])
+    .some(v => v.toLowerCase() === value.toString().toLowerCase());
+
+  const values = (buckets, param) => buckets.map(bucket => ({
+    value: bucket._id,
+    count: bucket.count,
+    selected: selected(param, bucket._id)
+  }));
+
+  const categories = await Category.find({ _id: { $in: counts.categories.map(bucket => bucket._id) } })
+    .select('name slug');
+  const categoryById = new Map(categories.map(category => [category._id.toString(), category]));
+
+  return {
+    categories: counts.categories
+      .filter(bucket => categoryById.has(bucket._id.toString()))
+      .map(bucket => {
+        const category = categoryById.get(bucket._id.toString());
+        return {
+          value: bucket._id,
+          label: category.name,
+          slug: category.slug,
+          count: bucket.count,
+          selected: selected('category', bucket._id)
+        };
+      }),
+    sizes: values(counts.sizes, 'size'),
+    colors: values(counts.colors, 'color'),
+    brands: values(counts.brands, 'brand'),
+    materials: values(counts.materials, 'material'),
+    conditions: values(counts.conditions, 'condition'),
+    price: PRICE_RANGES.map(range => {
+      const bucket = counts.price.find(b => (range[1] === null ? b._id === 'open' : b._id === range[0]));
+      const label = priceRangeLabel(range);
+      return {
+        value: label,
+        min: range[0],
+        max: range[1],
+        count: bucket ? bucket.count : 0,
+        selected: selected('price', label)
+      };
+    })
+  };
+};
+
+module.exports = {
+  PRICE_RANGES,
+  parseList,
+  buildFacetFilters,
+  buildBaseFilter,
+  combineFilters,
+  getFacetCounts,
+  formatFacets
+};
@@ -0,0 +1,104 @@
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const { getPaymentProvider } = require('./payments');
+const { startOfDay } = require('./availability');
+const { roundAmount } = require('./pricing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cancelling more than this many days before the need date refunds everything
+const FULL_REFUND_DAYS = parseInt(process.env.FULL_REFUND_DAYS || '7');
+// Share of the rental charges refunded for later cancellations
+const PARTIAL_REFUND_RATE = parseFloat(process.env.PARTIAL_REFUND_RATE || '0.5');
+
+// Rental charges of an order already refunded or waiting to be paid out
+const getRefundedRentalAmount = async (order) => {
+  const refunds = await Refund.find({ order: order._id, status: { $ne: 'Failed' } });
+  return roundAmount(refunds.reduce((sum, r) => sum + r.rentalAmount, 0));
+};
+
+// Work out what a cancellation on `cancelledAt` gives back under the cancellation
+// policy, less what was already refunded. The deposit still held is always
+// returned in full.
+const getCancellationRefund = async (order, cancelledAt = new Date()) => {
+  const daysBeforeNeed = Math.floor((startOfDay(order.needDate) - startOfDay(cancelledAt)) / DAY_MS);
+  const rate = daysBeforeNeed > FULL_REFUND_DAYS ? 1 : PARTIAL_REFUND_RATE;
+  const alreadyRefunded = await getRefundedRentalAmount(order);
+
+  return {
+    daysBeforeNeed,
+    rate,
+    rentalAmount: Math.max(roundAmount(order.totalAmount * rate - alreadyRefunded), 0),
+    depositAmount: Math.max(order.getDepositBalance(), 0)
+  };
+};
+
+// Create a refund for an order. Orders paid online are refunded through the
+// provider right away; otherwise the refund is a manual payout, recorded as
+// processed when `manual` says it already happened and pending otherwise.
+const issueRefund = async (order, { rentalAmount = 0, depositAmount = 0, type, reason, policy, requestedBy, manual = false }) => {
+  const payment = await Payment.findOne({ order: order._id, status: 'Paid' }).sort({ createdAt: -1 });
+
+  const refund = new Refund({
+    order: order._id,
+    payment: payment ? payment._id : undefined,
+    type,
+    amount: roundAmount(rentalAmount + depositAmount),
+    rentalAmount: roundAmount(rentalAmount),
+    depositAmount: roundAmount(depositAmount),
+    reason,
+    policy,
+    requestedBy,
+    provider: payment ? payment.provider : 'manual'
+  });
+
+  if (payment) {
+    try {
+      const result = await getPaymentProvider(payment.provider).createRefund({
+        paymentId: payment.providerPaymentId,
+        amount: refund.amount,
+        notes: { orderId: order._id.toString(), refundId: refund._id.toString() }
+      });
+      refund.providerRefundId = result.id;
+      refund.status = 'Processed';
+      refund.processedAt = new Date();
+    } catch (error) {
+      console.error('Provider refund error:', error);
+      refund.status = 'Failed';
+      refund.failureReason = error.message;
+    }
+  } else if (manual) {
+    refund.status = 'Processed';
+    refund.processedAt = new Date();
+  }
+
+  await refund.save();
+  return refund;
+};
+
+// Reflect a processed refund on the order's deposit and payment status
+const applyRefundToOrder = async (order, refund) => {
+  if (refund.status !== 'Processed') return;
+
+  if (refund.depositAmount > 0) {
+    order.deposit.refunded = roundAmount(order.deposit.refunded + refund.depositAmount);
+    order.deposit.refundedAt = new Date();
+    order.updateDepositStatus();
+  }
+
+  // Money paid for the order itself went back to the customer
+  if (refund.payment || refund.rentalAmount > 0) {
+    const refunds = await Refund.find({ order: order._id, status: 'Processed' });
+    const refundedTotal = refunds.reduce((sum, r) => sum + r.amount, 0);
+    const paidTotal = order.totalAmount + order.deposit.collected;
+
+    order.paymentStatus = refundedTotal >= paidTotal ? 'Refunded' : 'Partially Refunded';
+  }
+};
+
+module.exports = {
+  getRefundedRentalAmount,
+  getCancellationRefund,
+  issueRefund,
+  applyRefundToOrder
+};
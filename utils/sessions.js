@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30', 10);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Short-lived JWT tied to a session, so revoking the session also ends it
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Start a session for the user and return its access and refresh tokens
+const createSession = async (user, req) => {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent: req.headers['user-agent'],
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken,
+    sessionId: session._id
+  };
+};
+
+// Exchange a refresh token for a new token pair. The old refresh token stops
+// working; presenting it again revokes the whole session, since that means
+// it was copied. Returns { session, token, refreshToken } or { error }.
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const newRefreshToken = crypto.randomBytes(40).toString('hex');
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      refreshTokenHash: hashToken(newRefreshToken),
+      previousRefreshTokenHash: tokenHash,
+      lastUsedAt: now,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+      expiresAt: refreshExpiry()
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousRefreshTokenHash: tokenHash, revokedAt: null },
+      { revokedAt: now, revokedReason: 'Refresh token reused' }
+    );
+    return { error: reused ? 'Session has been revoked, please log in again' : 'Invalid or expired refresh token' };
+  }
+
+  return {
+    session,
+    token: generateAccessToken(session.user, session._id),
+    refreshToken: newRefreshToken
+  };
+};
+
+// Revoke one session by its refresh token; returns the session if one was active
+const revokeSessionByToken = (refreshToken, reason) => {
+  return Session.findOneAndUpdate(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = (userId, reason, exceptSessionId) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = {
+  generateAccessToken,
+  verifyAccessToken,
+  createSession,
+  rotateSession,
+  revokeSessionByToken,
+  revokeUserSessions
+};
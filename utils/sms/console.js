@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+// Local provider for development and tests: messages are logged instead of sent
+const send = async ({ to, body }) => {
+  console.log(`SMS to ${to}: ${body}`);
+  return { id: `console_${crypto.randomBytes(8).toString('hex')}` };
+};
+
+module.exports = {
+  name: 'console',
+  send
+};
@@ -0,0 +1,31 @@
+const twilio = require('./twilio');
+const consoleProvider = require('./console');
+
+const providers = {
+  twilio,
+  console: consoleProvider
+};
+
+// Environments where the console provider is used when none is configured
+const CONSOLE_PROVIDER_ENVS = ['development', 'test'];
+
+// Provider selected through SMS_PROVIDER. Outside development and tests it has
+// to be set explicitly, so login codes are never just logged in production.
+const getSmsProvider = (name = process.env.SMS_PROVIDER) => {
+  if (!name) {
+    if (!CONSOLE_PROVIDER_ENVS.includes(process.env.NODE_ENV)) {
+      throw new Error('SMS_PROVIDER is not configured');
+    }
+    name = 'console';
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider: ${name}`);
+  }
+  return provider;
+};
+
+const sendSms = ({ to, body }) => getSmsProvider().send({ to, body });
+
+module.exports = { getSmsProvider, sendSms };
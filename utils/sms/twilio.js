@@ -0,0 +1,34 @@
+const API_URL = 'https://api.twilio.com/2010-04-01';
+
+// Basic auth header from the account credentials
+const authHeader = () => {
+  const credentials = `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`;
+  return `Basic ${Buffer.from(credentials).toString('base64')}`;
+};
+
+const send = async ({ to, body }) => {
+  const response = await fetch(`${API_URL}/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Authorization: authHeader()
+    },
+    body: new URLSearchParams({
+      To: to,
+      From: process.env.TWILIO_FROM_NUMBER,
+      Body: body
+    })
+  });
+
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`Twilio request failed: ${data.message || response.status}`);
+  }
+
+  return { id: data.sid };
+};
+
+module.exports = {
+  name: 'twilio',
+  send
+};
@@ -0,0 +1,274 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+
+// How long a built index is used before it is rebuilt from the database
+const SUGGEST_INDEX_TTL_SECONDS = parseInt(process.env.SUGGEST_INDEX_TTL_SECONDS || '300', 10);
+
+// One order counts as much as this many views when ranking
+const SUGGEST_ORDER_WEIGHT = parseFloat(process.env.SUGGEST_ORDER_WEIGHT || '10');
+
+// Share of the ranking score given to popularity; the rest is match quality
+const POPULARITY_WEIGHT = 0.3;
+
+// Lower-case, strip accents and punctuation, and split into words
+const tokenize = (text) => {
+  if (!text) return [];
+  return text
+    .toString()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+};
+
+// Trigrams of a word, padded at the start so prefixes share grams
+const trigrams = (word) => {
+  const padded = `  ${word}`;
+  const grams = [];
+  for (let i = 0; i < padded.length - 2; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+// Edit distance between two words, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Typos tolerated for a query word of this length
+const allowedEdits = (length) => {
+  if (length < 4) return 0;
+  if (length < 7) return 1;
+  return 2;
+};
+
+// How well a query word matches a word of an entry, from 0 (no match) to 1 (exact)
+const matchWord = (queryWord, word, isLast) => {
+  if (word === queryWord) return 1;
+
+  // The word being typed may be incomplete
+  if (isLast && word.startsWith(queryWord)) return 0.9;
+
+  const maxEdits = allowedEdits(queryWord.length);
+  if (maxEdits === 0) return 0;
+
+  // A word still being typed is compared against the start of the word as well,
+  // allowing for a missed or extra letter
+  const targets = isLast && word.length > queryWord.length
+    ? [word, word.slice(0, queryWord.length), word.slice(0, queryWord.length + 1)]
+    : [word];
+
+  const distance = Math.min(...targets.map(target => editDistance(queryWord, target, maxEdits)));
+  return distance <= maxEdits ? 0.8 - distance * 0.15 : 0;
+};
+
+// Load products and categories and build the word and trigram lookups
+const buildIndex = async () => {
+  const [products, categories, orderCounts] = await Promise.all([
+    Product.find({ isAvailable: true }).select('name slug images brand tags views category categories').lean(),
+    Category.find({ isActive: true }).select('name slug image').lean(),
+    Order.aggregate([
+      { $match: { orderStatus: { $ne: 'Cancelled' } } },
+      { $unwind: '$items' },
+      { $group: { _id: '$items.product', orders: { $sum: 1 } } }
+    ])
+  ]);
+
+  const ordersByProduct = new Map(orderCounts.map(count => [count._id.toString(), count.orders]));
+  const popularityByCategory = new Map();
+  const entries = [];
+
+  products.forEach(product => {
+    const orders = ordersByProduct.get(product._id.toString()) || 0;
+    const popularity = (product.views || 0) + orders * SUGGEST_ORDER_WEIGHT;
+
+    const categoryIds = product.categories && product.categories.length > 0
+      ? product.categories
+      : [product.category].filter(Boolean);
+    categoryIds.forEach(id => {
+      const key = id.toString();
+      popularityByCategory.set(key, (popularityByCategory.get(key) || 0) + popularity);
+    });
+
+    entries.push({
+      type: 'product',
+      id: product._id,
+      label: product.name,
+      slug: product.slug,
+      image: product.images && product.images[0],
+      words: tokenize([product.name, product.brand, ...(product.tags || [])].join(' ')),
+      popularity
+    });
+  });
+
+  categories.forEach(category => {
+    entries.push({
+      type: 'category',
+      id: category._id,
+      label: category.name,
+      slug: category.slug,
+      image: category.image,
+      words: tokenize(category.name),
+      popularity: popularityByCategory.get(category._id.toString()) || 0
+    });
+  });
+
+  // word -> entries containing it, trigram -> words containing it
+  const entriesByWord = new Map();
+  const wordsByGram = new Map();
+
+  entries.forEach((entry, position) => {
+    entry.words = [...new Set(entry.words)];
+    entry.words.forEach(word => {
+      if (!entriesByWord.has(word)) {
+        entriesByWord.set(word, new Set());
+        trigrams(word).forEach(gram => {
+          if (!wordsByGram.has(gram)) wordsByGram.set(gram, new Set());
+          wordsByGram.get(gram).add(word);
+        });
+      }
+      entriesByWord.get(word).add(position);
+    });
+  });
+
+  const maxPopularity = entries.reduce((max, entry) => Math.max(max, entry.popularity), 0);
+
+  return { entries, entriesByWord, wordsByGram, maxPopularity };
+};
+
+let cachedIndex = null;
+let builtAt = 0;
+let pendingBuild = null;
+// Bumped on every invalidation so builds started before a catalog change are not cached
+let generation = 0;
+
+// Current index, rebuilding it once it is older than the TTL.
+// Concurrent callers share a single rebuild.
+const getIndex = async () => {
+  if (cachedIndex && Date.now() - builtAt < SUGGEST_INDEX_TTL_SECONDS * 1000) {
+    return cachedIndex;
+  }
+
+  if (!pendingBuild) {
+    const buildGeneration = generation;
+    const build = buildIndex()
+      .then(index => {
+        if (buildGeneration === generation) {
+          cachedIndex = index;
+          builtAt = Date.now();
+        }
+        return index;
+      })
+      .finally(() => {
+        if (pendingBuild === build) pendingBuild = null;
+      });
+    pendingBuild = build;
+  }
+
+  return pendingBuild;
+};
+
+// Force a rebuild on the next request, e.g. after catalog changes
+const invalidateSuggestionIndex = () => {
+  generation++;
+  builtAt = 0;
+  pendingBuild = null;
+};
+
+// Words of the index that could match a query word: those sharing a trigram
+// with it, or for very short words, those starting with it
+const candidateWords = (index, queryWord) => {
+  if (queryWord.length < 3) {
+    return [...index.entriesByWord.keys()].filter(word => word.startsWith(queryWord));
+  }
+
+  const words = new Set();
+  trigrams(queryWord).forEach(gram => {
+    (index.wordsByGram.get(gram) || []).forEach(word => words.add(word));
+  });
+  return [...words];
+};
+
+// Products and categories matching `query`, best first. Every query word has to
+// match some word of an entry; the last one may be a prefix.
+const getSuggestions = async (query, limit = 8) => {
+  const queryWords = tokenize(query);
+  if (queryWords.length === 0) return [];
+
+  const index = await getIndex();
+  let scores = null;
+
+  for (let i = 0; i < queryWords.length; i++) {
+    const isLast = i === queryWords.length - 1;
+    const wordScores = new Map();
+
+    candidateWords(index, queryWords[i]).forEach(word => {
+      const score = matchWord(queryWords[i], word, isLast);
+      if (score === 0) return;
+
+      index.entriesByWord.get(word).forEach(position => {
+        wordScores.set(position, Math.max(wordScores.get(position) || 0, score));
+      });
+    });
+
+    if (scores === null) {
+      scores = wordScores;
+    } else {
+      const combined = new Map();
+      scores.forEach((score, position) => {
+        if (wordScores.has(position)) combined.set(position, score + wordScores.get(position));
+      });
+      scores = combined;
+    }
+
+    if (scores.size === 0) return [];
+  }
+
+  const popularityScale = Math.log10(1 + index.maxPopularity) || 1;
+
+  return [...scores.entries()]
+    .map(([position, score]) => {
+      const entry = index.entries[position];
+      const match = score / queryWords.length;
+      const popularity = Math.log10(1 + entry.popularity) / popularityScale;
+
+      return {
+        type: entry.type,
+        id: entry.id,
+        label: entry.label,
+        slug: entry.slug,
+        image: entry.image,
+        score: Math.round(((1 - POPULARITY_WEIGHT) * match + POPULARITY_WEIGHT * popularity) * 1000) / 1000
+      };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  tokenize,
+  editDistance,
+  getSuggestions,
+  invalidateSuggestionIndex
+};
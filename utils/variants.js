@@ -0,0 +1,56 @@
+// Variants of a product that can currently be rented
+const getAvailableVariants = (product) => (product.variants || []).filter(variant => variant.isAvailable !== false);
+
+// Variant of a product by ID, or null when it does not exist
+const findVariant = (product, variantId) => {
+  if (!variantId || !product.variants) return null;
+  return product.variants.find(variant => variant._id.toString() === variantId.toString()) || null;
+};
+
+// Work out which variant an order item is rented in, validating it against the product
+const resolveItemVariant = (product, variantId) => {
+  // Products without variants are booked as they are
+  if (!product.variants || product.variants.length === 0) {
+    if (variantId) return { error: `${product.name} has no variants to choose from` };
+    return { variant: null };
+  }
+
+  const variants = getAvailableVariants(product);
+
+  if (!variantId) {
+    if (variants.length === 1) return { variant: variants[0] };
+    return { error: `Please select a color for ${product.name}` };
+  }
+
+  const variant = variants.find(v => v._id.toString() === variantId.toString());
+  if (!variant) {
+    return { error: `The selected color of ${product.name} is not available` };
+  }
+
+  return { variant };
+};
+
+// Product as seen through one of its variants: the variant's color, size stock
+// and images, and its prices where it overrides them
+const applyVariant = (product, variant) => {
+  const base = typeof product.toObject === 'function' ? product.toObject() : product;
+  if (!variant) return base;
+
+  return {
+    ...base,
+    color: variant.color,
+    images: variant.images && variant.images.length > 0 ? variant.images : base.images,
+    price: variant.price !== null && variant.price !== undefined ? variant.price : base.price,
+    originalPrice: variant.originalPrice !== null && variant.originalPrice !== undefined
+      ? variant.originalPrice
+      : base.originalPrice,
+    sizes: variant.sizes
+  };
+};
+
+module.exports = {
+  getAvailableVariants,
+  findVariant,
+  resolveItemVariant,
+  applyVariant
+};